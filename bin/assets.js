@@ -0,0 +1,78 @@
+// assets.js
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { collectAssetUrls, groupByUrl, auditAssetUrls, rewriteAssetUrls } = require('./modules/asset-urls');
+const { cliConfig } = require('./modules/config');
+
+// CLI args
+const args = process.argv.slice(2);
+const config = cliConfig(args);
+const srcDir = config.paths.src;
+const assetsDir = config.paths.assets;
+const getArg = (name) => {
+  const i = args.findIndex(a => a === name);
+  return i !== -1 && args[i + 1] ? args[i + 1] : null;
+};
+const rewriteFile = getArg('--rewrite');
+const dryRun = args.includes('--dry-run');
+const issuesOnly = args.includes('--issues');
+
+const who = (use) => {
+  const owner = use.guid ? `${use.nickname || 'object'} (${use.guid})` : 'base.json';
+  return `${owner} ${use.path}`;
+};
+
+function listAssets() {
+  const uses = collectAssetUrls(srcDir);
+  const byUrl = groupByUrl(uses.filter(u => u.url.trim() !== ''));
+
+  if (!issuesOnly) {
+    for (const [url, list] of byUrl) {
+      console.log(`🔗 ${url}  (${list.length} use(s))`);
+      list.forEach(u => console.log(`    • ${who(u)}`));
+    }
+  }
+
+  const issues = auditAssetUrls(uses, { assetsDir });
+  const errors = issues.filter(i => i.severity === 'error');
+  const warnings = issues.filter(i => i.severity === 'warning');
+  for (const issue of [...errors, ...warnings]) {
+    const icon = issue.severity === 'error' ? '❌' : '⚠️ ';
+    console.log(`${icon} ${issue.url ? `${issue.url}: ` : ''}${issue.message}`);
+    issue.uses.slice(0, 5).forEach(u => console.log(`    • ${who(u)}`));
+    if (issue.uses.length > 5) console.log(`    • +${issue.uses.length - 5} more`);
+  }
+
+  console.log(`📦 ${byUrl.size} unique asset URL(s) in ${uses.length} field(s); ${errors.length} error(s), ${warnings.length} warning(s)`);
+  if (errors.length) process.exit(1);
+}
+
+function rewriteAssets() {
+  if (!fs.existsSync(rewriteFile)) {
+    console.error(`❌ Mapping file not found: ${rewriteFile}`);
+    process.exit(1);
+  }
+  let report;
+  try {
+    report = rewriteAssetUrls(srcDir, JSON.parse(fs.readFileSync(rewriteFile, 'utf-8')), { dryRun });
+  } catch (err) {
+    console.error(`❌ Cannot rewrite URLs: ${err.message}`);
+    process.exit(1);
+  }
+
+  report.replaced.forEach(r => console.log(`  ~ ${path.relative(srcDir, r.file)} ${r.path}\n      ${r.from}\n    → ${r.to}`));
+  const verb = dryRun ? 'would be rewritten (dry run)' : 'rewritten';
+  console.log(`✅ ${report.replaced.length} URL(s) in ${report.files.length} file(s) ${verb}`);
+}
+
+function main() {
+  if (!fs.existsSync(srcDir)) {
+    console.error(`❌ Source folder not found: ${srcDir} (run split first)`);
+    process.exit(1);
+  }
+  if (rewriteFile) rewriteAssets();
+  else listAssets();
+}
+
+main();
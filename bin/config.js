@@ -0,0 +1,16 @@
+// config.js
+require('dotenv').config();
+const path = require('path');
+const { cliConfig } = require('./modules/config');
+
+// CLI args: [--env <name>] [--config <file>]
+const args = process.argv.slice(2);
+
+function main() {
+  const { env, ci, file, ...settings } = cliConfig(args);
+  console.log(`🧾 Config: ${file ? path.relative('.', file) : 'none (defaults)'} | environment: ${env}${ci ? ' (CI)' : ''}`);
+  console.log(JSON.stringify(settings, null, 2));
+  console.log('✅ Config is valid');
+}
+
+main();
@@ -0,0 +1,54 @@
+// guids.js
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { fixSrcGuids } = require('./modules/guid-tools');
+const { DeckTableError } = require('./modules/deck-table');
+const { cliConfig } = require('./modules/config');
+
+// CLI args
+const args = process.argv.slice(2);
+const config = cliConfig(args);
+const srcDir = config.paths.src;
+const fix = args.includes('--fix');
+const dryRun = !fix || args.includes('--dry-run');
+
+function main() {
+  if (!fs.existsSync(path.join(srcDir, 'manifest.json'))) {
+    console.error(`❌ manifest.json not found in ${srcDir} (run split first)`);
+    process.exit(1);
+  }
+
+  let report;
+  try {
+    report = fixSrcGuids(srcDir, { dryRun, maxLength: config.naming.maxLength });
+  } catch (err) {
+    if (!(err instanceof DeckTableError) && !(err instanceof SyntaxError)) throw err;
+    console.error(`❌ Cannot read src: ${err.message}`);
+    process.exit(1);
+  }
+
+  for (const f of report.fixes) {
+    const what = f.from ? `duplicate GUID ${f.from}` : 'missing GUID';
+    console.log(`  ${dryRun ? '•' : '~'} ${f.where}: ${what}${dryRun ? '' : ` → ${f.to}`}`);
+  }
+  report.warnings.forEach(w => console.warn(`⚠️  ${w}`));
+  report.errors.forEach(e => console.error(`❌ ${e}`));
+
+  if (report.fixes.length === 0) {
+    console.log('✅ GUIDs are unique across the whole tree');
+  } else if (!fix) {
+    console.log(`❌ ${report.fixes.length} GUID problem(s); run with --fix to regenerate them`);
+    process.exit(1);
+  } else if (dryRun) {
+    console.log(`🔎 ${report.fixes.length} GUID(s) would be regenerated, ${report.luaReplacements} getObjectFromGUID literal(s) updated (dry run)`);
+  } else {
+    console.log(`✅ ${report.fixes.length} GUID(s) regenerated, ${report.luaReplacements} getObjectFromGUID literal(s) updated`);
+  }
+  if (report.errors.length) {
+    console.error(`❌ ${report.errors.length} getObjectFromGUID literal(s) name a regenerated GUID outside its object; fix them by hand`);
+    process.exit(1);
+  }
+}
+
+main();
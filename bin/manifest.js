@@ -0,0 +1,57 @@
+// manifest.js
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { discoverManifest } = require('./modules/manifest-discovery');
+const { cliConfig } = require('./modules/config');
+
+// CLI args
+const args = process.argv.slice(2);
+const config = cliConfig(args);
+const srcDir = config.paths.src;
+const manifestPath = path.join(srcDir, 'manifest.json');
+const dryRun = args.includes('--dry-run');
+const fresh = args.includes('--fresh');
+
+const label = (e) => `${e.nickname || e.type} (${e.guid || 'noguid'}) → ${e.file}`;
+
+function readManifest() {
+  if (!fs.existsSync(manifestPath)) return [];
+  try {
+    const list = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    if (Array.isArray(list)) return list;
+  } catch (e) { /* reported below */ }
+  if (fresh) return [];
+  console.error(`❌ Invalid manifest: ${manifestPath} (use --fresh to rebuild it from the files)`);
+  process.exit(1);
+}
+
+function main() {
+  if (!fs.existsSync(srcDir)) {
+    console.error(`❌ Source folder not found: ${srcDir} (run split first)`);
+    process.exit(1);
+  }
+
+  // --fresh: the current manifest (when readable) only lends its keyPositions
+  const current = readManifest();
+  const report = discoverManifest(srcDir, fresh ? [] : current, { maxLength: config.naming.maxLength, previous: current });
+  report.added.forEach(e => console.log(`  + ${label(e)}${e.parent ? ` (in ${e.parent})` : ''}`));
+  report.removed.forEach(e => console.log(`  - ${label(e)}`));
+  report.updated.forEach(e => console.log(`  ~ ${label(e)}`));
+  report.skipped.forEach(s => console.warn(`⚠️  Skipped ${s.file}: ${s.reason}`));
+  report.errors.forEach(e => console.error(`❌ ${e.file}: ${e.reason}`));
+  if (report.errors.length) {
+    console.error(`❌ ${report.errors.length} state(s) cannot be placed; manifest.json not written`);
+    process.exit(1);
+  }
+
+  const summary = `+${report.added.length} added, -${report.removed.length} dropped, ~${report.updated.length} updated`;
+  if (dryRun) {
+    console.log(`🔎 manifest.json: ${summary} (dry run, nothing written)`);
+    return;
+  }
+  fs.writeFileSync(manifestPath, JSON.stringify(report.manifest, null, 2), 'utf-8');
+  console.log(`✅ manifest.json: ${summary}, ${report.manifest.length} object(s)`);
+}
+
+main();
@@ -0,0 +1,238 @@
+// modules/asset-urls.js
+const fs = require('fs');
+const path = require('path');
+const { DECK_EXT } = require('./deck-table');
+
+/** ===== External asset URLs in split JSON (base.json + every object file) ===== */
+
+// Any string field named *URL / *Url (MeshURL, FaceURL, ImageURL, AssetbundleURL, PDFUrl, CustomUIAssets[].URL, …)
+const URL_KEY = /url$/i;
+// Fields TTS needs to load the object at all; empty values there are errors (optional ones like NormalURL are often "")
+const REQUIRED_KEYS = new Set(['MeshURL', 'DiffuseURL', 'FaceURL', 'BackURL', 'ImageURL', 'AssetbundleURL', 'PDFUrl', 'URL']);
+
+// Music player playlists keep their URLs in AudioLibrary[].Item1
+const isUrlField = (key, parentPath) => URL_KEY.test(key) || (key === 'Item1' && /AudioLibrary/.test(parentPath));
+
+// "https:", "file:", "C:" … → already a URL / absolute location, not a project path
+const HAS_SCHEME = /^[A-Za-z][A-Za-z0-9+.-]*:/;
+
+/**
+ * Project-relative path of a file under assetsDir (e.g. "assets/cards/sheet.png", see local-assets).
+ * Anything else — URLs, but also scheme-less values like "i.imgur.com/x.png" — is not a local asset.
+ */
+function isLocalAssetRef(value, assetsDir = './assets') {
+  const v = String(value || '').trim();
+  if (v === '' || HAS_SCHEME.test(v) || v.startsWith('//')) return false;
+  const rel = path.relative(path.resolve(assetsDir), path.resolve(v));
+  return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+/** Every URL-valued string in `value` → [{ path, key, url }] (path like CustomDeck.12.FaceURL) */
+function findUrlFields(value, prefix = '') {
+  const found = [];
+  const walk = (v, p, key) => {
+    if (Array.isArray(v)) {
+      v.forEach((item, i) => walk(item, `${p}[${i}]`, null));
+    } else if (v && typeof v === 'object') {
+      for (const [k, child] of Object.entries(v)) walk(child, p ? `${p}.${k}` : k, k);
+    } else if (typeof v === 'string' && key && isUrlField(key, p)) {
+      found.push({ path: p, key, url: v });
+    }
+  };
+  walk(value, prefix, null);
+  return found;
+}
+
+/**
+ * JSON files of the split project: base.json first, then objects (and deck definitions) in manifest order.
+ * `skipContained`: the object's contained objects have their own files (merge ignores the inline ContainedObjects copy).
+ */
+function listSourceJson(srcDir) {
+  const files = [];
+  const basePath = path.join(srcDir, 'base.json');
+  if (fs.existsSync(basePath)) files.push({ file: basePath, guid: null });
+  const manifestPath = path.join(srcDir, 'manifest.json');
+  const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) : [];
+  const containers = new Set(manifest
+    .filter(e => e.parent && (e.relation || 'contained') === 'contained')
+    .map(e => e.parent));
+  for (const entry of manifest) {
+    const file = path.join(srcDir, entry.file);
+    files.push({ file, guid: entry.guid || null, skipContained: containers.has(entry.guid) });
+    // Card sheets of decks in table form
+    const deckFile = file.replace(/\.json$/i, DECK_EXT);
+    if (fs.existsSync(deckFile)) files.push({ file: deckFile, guid: entry.guid || null });
+  }
+  return files;
+}
+
+/**
+ * @param {string} srcDir
+ * @returns {{url: string, path: string, key: string, file: string, guid: string|null, nickname: string}[]}
+ */
+function collectAssetUrls(srcDir) {
+  const uses = [];
+  for (const { file, guid, skipContained } of listSourceJson(srcDir)) {
+    if (!fs.existsSync(file)) continue;
+    const json = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const nickname = json.Nickname || json.Name || (guid ? '' : 'base');
+    const { ContainedObjects, ...own } = json;
+    for (const field of findUrlFields(skipContained ? own : json)) uses.push({ ...field, file, guid, nickname });
+  }
+  return uses;
+}
+
+/** Same asset written differently (http vs https, host case, trailing slash, spaces) */
+function normalizeUrl(url) {
+  return url.trim()
+    .replace(/^http:\/\//i, 'https://')
+    .replace(/^(https:\/\/[^/]+)/i, (host) => host.toLowerCase())
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Problems with the collected URLs.
+ * Issue: { severity: 'error'|'warning', url, message, uses }
+ *   errors   → empty required field, malformed URL, missing local asset
+ *   warnings → plain http://, no scheme, local file, surrounding whitespace, one asset under several spellings
+ * @param {object[]} uses
+ * @param {{assetsDir?: string}} [opts] paths under assetsDir ("assets/…") are local assets and must exist
+ */
+function auditAssetUrls(uses, { assetsDir = './assets' } = {}) {
+  const issues = [];
+  const byUrl = groupByUrl(uses);
+
+  for (const [url, list] of byUrl) {
+    const add = (severity, message, which = list) => issues.push({ severity, url, message, uses: which });
+
+    if (url.trim() === '') {
+      const required = list.filter(u => REQUIRED_KEYS.has(u.key));
+      if (required.length) add('error', 'empty URL in a required field', required);
+      continue;
+    }
+    if (url !== url.trim()) add('warning', 'leading/trailing whitespace');
+
+    if (isLocalAssetRef(url, assetsDir)) {
+      if (!fs.existsSync(path.resolve(url.trim()))) add('error', 'local asset not found');
+      continue;
+    }
+    if (!HAS_SCHEME.test(url.trim()) && !url.trim().startsWith('//')) {
+      add('warning', `no scheme (https://) and not under the assets folder ${assetsDir}`);
+      continue;
+    }
+
+    let parsed = null;
+    try { parsed = new URL(url.trim()); } catch (e) { /* not a URL */ }
+    if (/^(?:[A-Za-z]:[\\/]|file:)/.test(url.trim())) {
+      add('warning', 'local file: other players cannot load it');
+    } else if (!parsed || !/^https?:$/.test(parsed.protocol) || !parsed.hostname) {
+      add('error', 'malformed URL');
+    } else if (parsed.protocol === 'http:') {
+      add('warning', 'plain http:// (use https://)');
+    }
+  }
+
+  const variants = new Map(); // normalized → raw urls
+  for (const url of byUrl.keys()) {
+    if (!url.trim() || isLocalAssetRef(url, assetsDir)) continue;
+    const key = normalizeUrl(url);
+    if (!variants.has(key)) variants.set(key, []);
+    variants.get(key).push(url);
+  }
+  for (const urls of variants.values()) {
+    if (urls.length < 2) continue;
+    issues.push({
+      severity: 'warning',
+      url: urls[0],
+      message: `same asset under ${urls.length} spellings (TTS caches them separately): ${urls.join(' | ')}`,
+      uses: urls.flatMap(u => byUrl.get(u)),
+    });
+  }
+  return issues;
+}
+
+/** url → uses (first-seen order) */
+function groupByUrl(uses) {
+  const byUrl = new Map();
+  for (const use of uses) {
+    if (!byUrl.has(use.url)) byUrl.set(use.url, []);
+    byUrl.get(use.url).push(use);
+  }
+  return byUrl;
+}
+
+/**
+ * Mapping file: { "<old url>": "<new url>", "<old prefix>*": "<new prefix>*" }.
+ * Exact entries win over prefixes; the longest prefix wins among prefixes.
+ * @returns {function(string): string|null} new URL, or null when unmapped
+ */
+function compileUrlMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('URL mapping must be a JSON object { "old": "new" }');
+  }
+  const exact = new Map();
+  const prefixes = [];
+  for (const [from, to] of Object.entries(mapping)) {
+    if (typeof to !== 'string') throw new Error(`URL mapping for "${from}" must be a string`);
+    if (from.endsWith('*')) {
+      if (!to.endsWith('*')) throw new Error(`prefix mapping "${from}" needs a prefix target ending with *`);
+      prefixes.push({ from: from.slice(0, -1), to: to.slice(0, -1) });
+    } else {
+      exact.set(from, to);
+    }
+  }
+  prefixes.sort((a, b) => b.from.length - a.from.length);
+
+  return (url) => {
+    if (exact.has(url)) return exact.get(url);
+    const p = prefixes.find(x => url.startsWith(x.from));
+    return p ? p.to + url.slice(p.from.length) : null;
+  };
+}
+
+/**
+ * Rewrites URL fields in src/ JSON files in place (2-space JSON, as split writes them).
+ * @returns {{files: string[], replaced: {file: string, path: string, from: string, to: string}[]}}
+ */
+function rewriteAssetUrls(srcDir, mapping, { dryRun = false } = {}) {
+  const mapUrl = compileUrlMapping(mapping);
+  const report = { files: [], replaced: [] };
+
+  for (const { file, skipContained } of listSourceJson(srcDir)) {
+    if (!fs.existsSync(file)) continue;
+    const json = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    let changed = false;
+
+    const walk = (v, p) => {
+      if (!v || typeof v !== 'object') return;
+      for (const [k, child] of Object.entries(v)) {
+        const childPath = Array.isArray(v) ? `${p}[${k}]` : (p ? `${p}.${k}` : k);
+        if (skipContained && v === json && k === 'ContainedObjects') continue;
+        if (typeof child !== 'string' || Array.isArray(v) || !isUrlField(k, p)) { walk(child, childPath); continue; }
+        const next = mapUrl(child);
+        if (next == null || next === child) continue;
+        report.replaced.push({ file, path: childPath, from: child, to: next });
+        v[k] = next;
+        changed = true;
+      }
+    };
+    walk(json, '');
+
+    if (!changed) continue;
+    report.files.push(file);
+    if (!dryRun) fs.writeFileSync(file, JSON.stringify(json, null, 2), 'utf-8');
+  }
+  return report;
+}
+
+module.exports = {
+  REQUIRED_KEYS,
+  isUrlField,
+  isLocalAssetRef,
+  findUrlFields,
+  collectAssetUrls,
+  groupByUrl,
+  auditAssetUrls,
+  compileUrlMapping,
+  rewriteAssetUrls,
+};
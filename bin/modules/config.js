@@ -0,0 +1,314 @@
+// modules/config.js
+const fs = require('fs');
+const path = require('path');
+const { TTS_PORT, EDITOR_PORT } = require('./tts-editor-api');
+
+/** ===== Project config: tts-mod.config.js / tts-mod.config.json ===== */
+
+// Looked up in the working directory, in this order (or --config <file>)
+const CONFIG_FILES = ['tts-mod.config.js', 'tts-mod.config.json'];
+const ENVIRONMENTS = ['dev', 'release', 'ci'];
+
+const DEFAULTS = {
+  paths: {
+    input: './Save.json',   // TTS save file or the TTS Saves folder (split, verify)
+    src: './src',
+    build: './build',
+    archive: './archive',
+    lib: './lib',           // Lua modules for require(); also where split re-extracts them
+    ui: './ui',             // shared XML UI fragments for <Include src="..."/>
+    assets: './assets',
+  },
+  naming: {
+    maxLength: 50,                     // longest name part of a src/ file or folder
+    saveFile: '{name}_v{version}.json', // merged save in paths.build ({name} = SaveName / GameMode)
+  },
+  bundling: {
+    luaPath: null,          // search path ("a;b/?.lua" or a list); null → lua-paths.json, then paths.lib
+    sharedLua: false,
+    minify: false,          // same as --release (never for dev versions)
+    assetBaseUrl: null,
+    localAssets: false,
+  },
+  validation: {
+    allowLuaErrors: false,
+    allowXmlErrors: false,
+    failOnWarnings: false,
+  },
+  archive: {
+    enabled: true,          // move the previous build of the same GameMode to paths.archive
+    keep: null,             // archived saves kept per save name (null = all)
+  },
+  watch: {
+    version: 'vDEV',
+    debounceMs: 200,
+    push: false,
+  },
+  editor: {
+    host: '127.0.0.1',
+    port: TTS_PORT,         // TTS listens here
+    editorPort: EDITOR_PORT, // we listen here (prints, errors, scripts)
+  },
+};
+
+// Type of every key: any of string | string[] | integer | boolean | null
+const SCHEMA = {
+  paths: { input: 'string', src: 'string', build: 'string', archive: 'string', lib: 'string', ui: 'string', assets: 'string' },
+  naming: { maxLength: 'integer', saveFile: 'string' },
+  bundling: { luaPath: 'string|string[]|null', sharedLua: 'boolean', minify: 'boolean', assetBaseUrl: 'string|null', localAssets: 'boolean' },
+  validation: { allowLuaErrors: 'boolean', allowXmlErrors: 'boolean', failOnWarnings: 'boolean' },
+  archive: { enabled: 'boolean', keep: 'integer|null' },
+  watch: { version: 'string', debounceMs: 'integer', push: 'boolean' },
+  editor: { host: 'string', port: 'integer', editorPort: 'integer' },
+};
+
+// Legacy .env variables; they override the config file
+const ENV_VARS = {
+  INPUT_SAVE: ['paths', 'input'],
+  SRC_DIR: ['paths', 'src'],
+  BUILD_DIR: ['paths', 'build'],
+  ARCHIVE_DIR: ['paths', 'archive'],
+  LIB_DIR: ['paths', 'lib'],
+  UI_DIR: ['paths', 'ui'],
+  ASSETS_DIR: ['paths', 'assets'],
+  TTS_LUA_PATH: ['bundling', 'luaPath'],
+  ASSET_BASE_URL: ['bundling', 'assetBaseUrl'],
+  TTS_HOST: ['editor', 'host'],
+  TTS_PORT: ['editor', 'port'],
+  TTS_EDITOR_PORT: ['editor', 'editorPort'],
+};
+
+class ConfigError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.details = details;
+  }
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const TYPE_CHECKS = {
+  'string': (v) => typeof v === 'string',
+  'string[]': (v) => Array.isArray(v) && v.every(s => typeof s === 'string'),
+  'integer': (v) => Number.isInteger(v),
+  'boolean': (v) => typeof v === 'boolean',
+  'null': (v) => v === null,
+};
+
+const describe = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+
+// Value rules beyond the type: [section, key, check, message]
+const RULES = [
+  ['naming', 'maxLength', (v) => v >= 8, 'must be at least 8'],
+  ['naming', 'saveFile', (v) => v.endsWith('.json') && !/[\\/]/.test(v), 'must be a file name ending in .json'],
+  ['archive', 'keep', (v) => v === null || v >= 1, 'must be at least 1 (or null to keep all)'],
+  ['watch', 'debounceMs', (v) => v >= 0, 'must not be negative'],
+  ['editor', 'port', (v) => v > 0 && v < 65536, 'must be a TCP port'],
+  ['editor', 'editorPort', (v) => v > 0 && v < 65536, 'must be a TCP port'],
+];
+
+/** Problems of one config layer (the file, or one of its environments): unknown keys, wrong types, bad values */
+function checkLayer(layer, where, problems) {
+  for (const [section, values] of Object.entries(layer)) {
+    const keys = SCHEMA[section];
+    if (!keys) {
+      const expected = [...Object.keys(SCHEMA), ...(where ? [] : ['environments'])];
+      problems.push(`${where}${section}: unknown section (expected ${expected.join(', ')})`);
+      continue;
+    }
+    if (!isObject(values)) {
+      problems.push(`${where}${section}: expected an object, got ${describe(values)}`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(values)) {
+      const type = keys[key];
+      if (!type) {
+        problems.push(`${where}${section}.${key}: unknown key (expected ${Object.keys(keys).join(', ')})`);
+      } else if (!type.split('|').some(t => TYPE_CHECKS[t](value))) {
+        problems.push(`${where}${section}.${key}: expected ${type.replace(/\|/g, ' or ')}, got ${describe(value)}`);
+      }
+    }
+  }
+  for (const [section, key, check, message] of RULES) {
+    const value = isObject(layer[section]) ? layer[section][key] : undefined;
+    const type = SCHEMA[section][key];
+    if (value === undefined || !type.split('|').some(t => TYPE_CHECKS[t](value))) continue;
+    if (!check(value)) problems.push(`${where}${section}.${key}: ${message}`);
+  }
+}
+
+/**
+ * Schema check of a config object (as written in tts-mod.config.*).
+ * @returns {string[]} problems, one per line (empty when valid)
+ */
+function validateConfig(config) {
+  if (!isObject(config)) return [`expected an object, got ${describe(config)}`];
+  const problems = [];
+  const { environments, ...layer } = config;
+  checkLayer(layer, '', problems);
+  if (environments !== undefined) {
+    if (!isObject(environments)) {
+      problems.push(`environments: expected an object, got ${describe(environments)}`);
+    } else {
+      for (const [name, env] of Object.entries(environments)) {
+        if (!isObject(env)) problems.push(`environments.${name}: expected an object, got ${describe(env)}`);
+        else if (env.environments !== undefined) problems.push(`environments.${name}.environments: environments cannot be nested`);
+        else checkLayer(env, `environments.${name}.`, problems);
+      }
+    }
+  }
+  return problems;
+}
+
+/** Section-wise merge: later layers win key by key */
+function mergeLayers(...layers) {
+  const out = {};
+  for (const section of Object.keys(DEFAULTS)) {
+    out[section] = Object.assign({}, ...layers.map(l => (l && l[section]) || {}));
+  }
+  return out;
+}
+
+function readConfigFile(file) {
+  try {
+    if (/\.json$/i.test(file)) return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    delete require.cache[require.resolve(file)];
+    return require(file);
+  } catch (err) {
+    throw new ConfigError(`Cannot read ${file}: ${err.message}`);
+  }
+}
+
+/** CI / GITHUB_ACTIONS set to anything but "", "false" or "0" */
+function isCI(environ = process.env) {
+  const on = (value) => value != null && !['', 'false', '0'].includes(String(value).trim().toLowerCase());
+  return on(environ.CI) || on(environ.GITHUB_ACTIONS);
+}
+
+/**
+ * Resolved project config: defaults ← config file ← its `environments[env]` ← legacy .env variables.
+ * The environment is `env`, else TTS_MOD_ENV, else "ci" on CI, else `defaultEnv`.
+ * @param {{cwd?: string, file?: string|null, env?: string|null, defaultEnv?: string, environ?: object}} [opts]
+ *   file → config file to use instead of looking up CONFIG_FILES in `cwd`; environ → variables (default process.env)
+ * @returns {{paths: object, naming: object, bundling: object, validation: object, archive: object, watch: object,
+ *            editor: object, env: string, ci: boolean, file: string|null}}
+ * @throws {ConfigError} unreadable or invalid config, unknown environment
+ */
+function loadConfig({ cwd = process.cwd(), file = null, env = null, defaultEnv = 'dev', environ = process.env } = {}) {
+  let configFile = null;
+  if (file) {
+    configFile = path.resolve(cwd, file);
+    if (!fs.existsSync(configFile)) throw new ConfigError(`Config file not found: ${file}`);
+  } else {
+    configFile = CONFIG_FILES.map(f => path.join(cwd, f)).find(f => fs.existsSync(f)) || null;
+  }
+
+  const fromFile = configFile ? readConfigFile(configFile) : {};
+  const problems = validateConfig(fromFile);
+  if (problems.length) throw new ConfigError(`Invalid config: ${path.relative(cwd, configFile) || configFile}`, problems);
+
+  const ci = isCI(environ);
+  const envName = env || (environ.TTS_MOD_ENV || '').trim() || (ci ? 'ci' : defaultEnv);
+  const environments = fromFile.environments || {};
+  if (!environments[envName] && !ENVIRONMENTS.includes(envName)) {
+    const known = [...new Set([...ENVIRONMENTS, ...Object.keys(environments)])];
+    throw new ConfigError(`Unknown environment "${envName}" (expected ${known.join(', ')})`);
+  }
+
+  // Empty variables (e.g. BUILD_DIR='' in .env) are not set
+  const fromEnv = {};
+  for (const [name, [section, key]] of Object.entries(ENV_VARS)) {
+    const value = (environ[name] || '').trim();
+    if (!value) continue;
+    const number = Number(value);
+    if (SCHEMA[section][key] === 'integer' && !Number.isInteger(number)) {
+      throw new ConfigError(`${name}=${value}: expected an integer`);
+    }
+    fromEnv[section] = { ...fromEnv[section], [key]: SCHEMA[section][key] === 'integer' ? number : value };
+  }
+
+  const { environments: _, ...base } = fromFile;
+  return {
+    ...mergeLayers(DEFAULTS, base, environments[envName], fromEnv),
+    env: envName,
+    ci,
+    file: configFile,
+  };
+}
+
+/**
+ * createMerge options from a resolved config (`overrides` = command-line flags and the like).
+ * @returns {object}
+ */
+function mergeOptions(config, overrides = {}) {
+  return {
+    srcDir: config.paths.src,
+    buildDir: config.paths.build,
+    archiveDir: config.paths.archive,
+    libDir: config.paths.lib,
+    luaPath: config.bundling.luaPath || undefined,
+    uiDir: config.paths.ui,
+    assetsDir: config.paths.assets,
+    assetBaseUrl: config.bundling.assetBaseUrl,
+    localAssets: config.bundling.localAssets,
+    release: config.bundling.minify,
+    sharedLua: config.bundling.sharedLua,
+    allowLuaErrors: config.validation.allowLuaErrors,
+    allowXmlErrors: config.validation.allowXmlErrors,
+    failOnWarnings: config.validation.failOnWarnings,
+    archive: config.archive.enabled,
+    archiveKeep: config.archive.keep,
+    nameMaxLength: config.naming.maxLength,
+    saveFile: config.naming.saveFile,
+    ci: config.ci,
+    ...overrides,
+  };
+}
+
+/**
+ * split options from a resolved config.
+ * @returns {object}
+ */
+function splitOptions(config, overrides = {}) {
+  return {
+    outDir: config.paths.src,
+    libOutDir: config.paths.lib,
+    uiOutDir: config.paths.ui,
+    assetsDir: config.paths.assets,
+    assetBaseUrl: config.bundling.assetBaseUrl,
+    nameMaxLength: config.naming.maxLength,
+    ...overrides,
+  };
+}
+
+/**
+ * loadConfig for the bin/ scripts: reads --config <file> / --env <name> from `args`,
+ * prints a ConfigError and exits.
+ */
+function cliConfig(args, { defaultEnv = 'dev' } = {}) {
+  const getArg = (name) => {
+    const i = args.findIndex(a => a === name);
+    return i !== -1 && args[i + 1] ? args[i + 1] : null;
+  };
+  try {
+    return loadConfig({ file: getArg('--config'), env: getArg('--env'), defaultEnv });
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(`❌ ${err.message}`);
+    err.details.forEach(d => console.error(`  • ${d}`));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULTS,
+  ConfigError,
+  validateConfig,
+  loadConfig,
+  isCI,
+  mergeOptions,
+  splitOptions,
+  cliConfig,
+};
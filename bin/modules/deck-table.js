@@ -0,0 +1,282 @@
+// modules/deck-table.js
+const fs = require('fs');
+const crypto = require('crypto');
+
+/** ===== Decks as a definition (sheets + card template) and a card table (CSV or JSON) ===== */
+
+// Sidecars next to the deck's own JSON
+const DECK_EXT = '.deck.json';
+const CARDS_CSV_EXT = '.cards.csv';
+const CARDS_JSON_EXT = '.cards.json';
+
+// Card fields that come from the table; everything else is shared via the template
+const PER_CARD_FIELDS = ['GUID', 'Nickname', 'Description', 'GMNotes', 'Tags', 'CardID', 'CustomDeck'];
+const COLUMNS = ['guid', 'sheet', 'index', 'nickname', 'description', 'gmnotes', 'tags'];
+const TAG_SEPARATOR = ';';
+// Card Transforms inside a deck: the template's one, or a JSON `transform` column for the cards that differ
+// (the column is only written when some card needs it)
+const TRANSFORM_COLUMN = 'transform';
+const ROW_FIELDS = ['Transform'];
+// TTS leaves these out of a card when they are empty; the definition lists the ones some cards lack
+// (`optional`), and an empty cell then means "no such key"
+const OPTIONAL_FIELDS = ['Description', 'GMNotes', 'Tags'];
+
+class DeckTableError extends Error {
+  constructor(message, file = null, row = null) {
+    super(`${file ? `${file}${row ? ` row ${row}` : ''}: ` : ''}${message}`);
+    this.name = 'DeckTableError';
+    this.file = file;
+    this.row = row;
+  }
+}
+
+const isDeck = (obj) => obj && (obj.Name === 'Deck' || obj.Name === 'DeckCustom');
+const isPlainCard = (card) => card && /^Card/.test(card.Name || '')
+  && Number.isInteger(card.CardID)
+  && !(card.LuaScript && card.LuaScript.trim()) && !(card.XmlUI && card.XmlUI.trim())
+  && !(card.LuaScriptState && card.LuaScriptState.trim())
+  && !(card.States && Object.keys(card.States).length)
+  && !(Array.isArray(card.ChildObjects) && card.ChildObjects.length)
+  && !(Array.isArray(card.ContainedObjects) && card.ContainedObjects.length);
+
+const sameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const omit = (obj, keys) => Object.fromEntries(Object.entries(obj).filter(([k]) => !keys.includes(k)));
+
+const isEmptyField = (value) => value === '' || (Array.isArray(value) && value.length === 0);
+
+/** Key order covering every card (a key missing from one card goes after the key it follows elsewhere) */
+function unionKeyOrder(objects) {
+  const order = [];
+  for (const obj of objects) {
+    let at = -1;
+    for (const key of Object.keys(obj)) {
+      const known = order.indexOf(key);
+      if (known === -1) order.splice(++at, 0, key);
+      else at = known;
+    }
+  }
+  return order;
+}
+
+/**
+ * Deck → { deck, definition, rows } when the deck can be written as a table without losing data
+ * (plain cards that differ only in PER_CARD_FIELDS / Transform, CardIDs matching DeckIDs and CustomDeck);
+ * null otherwise (the deck is then split like any other container). `columns` are the table columns to write.
+ * onReject(reason) → why a deck stays in raw form.
+ */
+function toDeckForm(deckObj, onReject = null) {
+  if (!isDeck(deckObj)) return null;
+  const reject = (reason) => {
+    if (onReject) onReject(reason);
+    return null;
+  };
+  const cards = deckObj.ContainedObjects;
+  if (!Array.isArray(cards) || cards.length === 0) return reject('no cards');
+  const odd = cards.find(card => !isPlainCard(card));
+  if (odd) return reject(`card ${odd.GUID || odd.Name || '?'} has a script, UI, states or contents`);
+  const sheets = deckObj.CustomDeck || {};
+  if (!sameJSON(deckObj.DeckIDs, cards.map(c => c.CardID))) return reject('DeckIDs do not match the cards\' CardIDs');
+
+  const first = cards[0];
+  const shared = (card) => omit(card, [...PER_CARD_FIELDS, ...ROW_FIELDS]);
+  const required = [...PER_CARD_FIELDS, ...ROW_FIELDS].filter(k => !OPTIONAL_FIELDS.includes(k));
+  const present = (card) => required.filter(k => k in card).join(',');
+  const tagsOk = (tags) => Array.isArray(tags)
+    && tags.every(t => typeof t === 'string' && t && t === t.trim() && !t.includes(TAG_SEPARATOR));
+  for (const card of cards) {
+    const guid = card.GUID || '?';
+    const sheet = String(Math.floor(card.CardID / 100));
+    const own = card.CustomDeck || {};
+    if (Object.keys(own).length !== 1 || !(sheet in own) || !sameJSON(own[sheet], sheets[sheet])) {
+      return reject(`card ${guid} has its own CustomDeck sheet`);
+    }
+    if (present(card) !== present(first)) return reject(`card ${guid} lacks one of ${required.join(', ')}`);
+    if (!sameJSON(shared(card), shared(first))) return reject(`card ${guid} differs from the others outside the table fields`);
+    if (card.Tags !== undefined && !tagsOk(card.Tags)) return reject(`card ${guid} has tags a table cell cannot hold`);
+  }
+  // Some cards lack the key: an empty cell must mean "absent", so no card may hold an empty value
+  const optional = OPTIONAL_FIELDS.filter(k => cards.some(card => !(k in card)) && cards.some(card => k in card));
+  for (const k of optional) {
+    const empty = cards.find(card => k in card && isEmptyField(card[k]));
+    if (empty) return reject(`card ${empty.GUID || '?'} has an empty ${k} while other cards have none`);
+  }
+
+  // Template keeps the cards' key order; table-driven fields are null placeholders
+  const template = {};
+  for (const k of unionKeyOrder(cards)) {
+    if (PER_CARD_FIELDS.includes(k)) template[k] = null;
+    else if (k in first) template[k] = first[k];
+  }
+
+  const ownTransform = (card) => !sameJSON(card.Transform, first.Transform);
+  const withTransform = cards.some(ownTransform);
+  const rows = cards.map(card => ({
+    guid: card.GUID || '',
+    sheet: String(Math.floor(card.CardID / 100)),
+    index: String(card.CardID % 100),
+    nickname: card.Nickname || '',
+    description: card.Description || '',
+    gmnotes: card.GMNotes || '',
+    tags: (card.Tags || []).join(TAG_SEPARATOR),
+    ...(withTransform ? { [TRANSFORM_COLUMN]: ownTransform(card) ? JSON.stringify(card.Transform) : '' } : {}),
+  }));
+
+  return {
+    deck: omit(deckObj, ['DeckIDs', 'CustomDeck', 'ContainedObjects']),
+    definition: { sheets, card: template, ...(optional.length ? { optional } : {}) },
+    rows,
+    columns: withTransform ? [...COLUMNS, TRANSFORM_COLUMN] : COLUMNS,
+  };
+}
+
+/** Stable GUID for a table row without one (same deck + row → same GUID every build) */
+function rowGuid(deckGuid, rowNumber, usedGuids) {
+  for (let salt = 0; ; salt++) {
+    const guid = crypto.createHash('sha1').update(`${deckGuid}:${rowNumber}:${salt}`).digest('hex').slice(0, 6);
+    if (!usedGuids.has(guid)) return guid;
+  }
+}
+
+/**
+ * Deck form → deck object with CustomDeck, DeckIDs and ContainedObjects.
+ * @param {object} deck       deck JSON (without cards)
+ * @param {{sheets: object, card: object, optional?: string[]}} definition  optional → keys left out for empty cells
+ * @param {object[]} rows     card table records (COLUMNS)
+ * @param {{file?: string, usedGuids?: Set<string>}} [opts] usedGuids → GUIDs taken elsewhere (generated ones are added)
+ * @throws {DeckTableError}
+ */
+function fromDeckForm(deck, definition, rows, { file = null, usedGuids = new Set() } = {}) {
+  const sheets = (definition && definition.sheets) || {};
+  const template = (definition && definition.card) || { Name: 'Card' };
+  const optional = (definition && definition.optional) || [];
+  const ids = [];
+  const cards = rows.map((row, i) => {
+    const rowNo = i + 2; // header is row 1
+    const fail = (msg) => { throw new DeckTableError(msg, file, rowNo); };
+
+    const sheet = String(row.sheet ?? '').trim();
+    if (!(sheet in sheets)) fail(`unknown sheet "${sheet}" (sheets: ${Object.keys(sheets).join(', ') || 'none'})`);
+    if (!/^[1-9]\d*$/.test(sheet)) fail(`sheet id must be a positive integer, got "${sheet}"`);
+    const index = Number(String(row.index ?? '').trim());
+    const { NumWidth = 10, NumHeight = 7 } = sheets[sheet];
+    if (!Number.isInteger(index) || index < 0 || index >= Math.min(NumWidth * NumHeight, 100)) {
+      fail(`index "${row.index}" is outside sheet ${sheet} (${NumWidth}×${NumHeight})`);
+    }
+
+    let guid = String(row.guid ?? '').trim();
+    if (!guid) guid = rowGuid(deck.GUID || 'deck', rowNo, usedGuids);
+    usedGuids.add(guid);
+
+    const cardId = Number(sheet) * 100 + index;
+    ids.push(cardId);
+    const values = {
+      GUID: guid,
+      Nickname: String(row.nickname ?? ''),
+      Description: String(row.description ?? ''),
+      GMNotes: String(row.gmnotes ?? ''),
+      Tags: (Array.isArray(row.tags) ? row.tags.map(String) : String(row.tags ?? '').split(TAG_SEPARATOR))
+        .map(t => t.trim()).filter(Boolean),
+      CardID: cardId,
+      CustomDeck: { [sheet]: sheets[sheet] },
+    };
+
+    // Template order; placeholders (null) are filled from the row, missing essentials are appended
+    const transform = parseTransform(row[TRANSFORM_COLUMN], fail);
+    const card = {};
+    for (const [k, v] of Object.entries(template)) {
+      if (optional.includes(k) && isEmptyField(values[k])) continue;
+      card[k] = PER_CARD_FIELDS.includes(k) ? values[k] : v;
+    }
+    if (transform) card.Transform = transform;
+    for (const k of ['GUID', 'Nickname', 'CardID', 'CustomDeck']) if (!(k in card)) card[k] = values[k];
+    for (const k of ['Description', 'GMNotes', 'Tags']) {
+      if (!(k in card) && values[k].length) card[k] = values[k];
+    }
+    return JSON.parse(JSON.stringify(card));
+  });
+
+  return { ...deck, DeckIDs: ids, CustomDeck: sheets, ContainedObjects: cards };
+}
+
+/** `transform` cell: '' → the template's Transform; JSON text (or an object in a .cards.json table) → the card's own */
+function parseTransform(value, fail) {
+  if (value == null || value === '') return null;
+  let transform = value;
+  if (typeof value === 'string') {
+    try {
+      transform = JSON.parse(value);
+    } catch (e) {
+      fail(`transform is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!transform || typeof transform !== 'object' || Array.isArray(transform)) fail('transform must be a JSON object');
+  return transform;
+}
+
+/** ===== CSV (RFC 4180: quoted fields may hold commas, quotes and newlines) ===== */
+
+function formatCsv(rows, columns = COLUMNS) {
+  const cell = (v) => {
+    const s = String(v ?? '');
+    return /[",\r\n]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns.join(','), ...rows.map(r => columns.map(c => cell(r[c])).join(','))].join('\n') + '\n';
+}
+
+/** @returns {object[]} records keyed by the header row */
+function parseCsv(text, file = null) {
+  const records = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+  const s = String(text).replace(/^\uFEFF/, '');
+
+  const endRow = () => { row.push(field); records.push(row); row = []; field = ''; };
+  while (i < s.length) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (c === '"') { quoted = false; i++; continue; }
+      field += c; i++; continue;
+    }
+    if (c === '"' && field === '') { quoted = true; i++; continue; }
+    if (c === ',') { row.push(field); field = ''; i++; continue; }
+    if (c === '\r' && s[i + 1] === '\n') { endRow(); i += 2; continue; }
+    if (c === '\n') { endRow(); i++; continue; }
+    field += c; i++;
+  }
+  if (quoted) throw new DeckTableError('unterminated quoted field', file);
+  if (field !== '' || row.length) endRow();
+
+  const [header, ...body] = records.filter(r => !(r.length === 1 && r[0] === ''));
+  if (!header) return [];
+  const names = header.map(h => h.trim().toLowerCase());
+  return body.map(r => Object.fromEntries(names.map((n, k) => [n, r[k] ?? ''])));
+}
+
+/** Card table of a deck: <base>.cards.csv, else <base>.cards.json (array of records) */
+function readCardTable(basePathNoExt) {
+  const csv = basePathNoExt + CARDS_CSV_EXT;
+  const json = basePathNoExt + CARDS_JSON_EXT;
+  if (fs.existsSync(csv)) return { file: csv, rows: parseCsv(fs.readFileSync(csv, 'utf-8'), csv) };
+  if (fs.existsSync(json)) {
+    const rows = JSON.parse(fs.readFileSync(json, 'utf-8'));
+    if (!Array.isArray(rows)) throw new DeckTableError('card table must be a JSON array', json);
+    return { file: json, rows };
+  }
+  throw new DeckTableError(`card table not found (${CARDS_CSV_EXT} or ${CARDS_JSON_EXT})`, basePathNoExt + DECK_EXT);
+}
+
+module.exports = {
+  DECK_EXT,
+  CARDS_CSV_EXT,
+  CARDS_JSON_EXT,
+  COLUMNS,
+  DeckTableError,
+  toDeckForm,
+  fromDeckForm,
+  formatCsv,
+  parseCsv,
+  readCardTable,
+};
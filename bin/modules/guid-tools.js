@@ -0,0 +1,293 @@
+// modules/guid-tools.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SIDECAR_EXTS } = require('./incremental-split');
+const { DECK_EXT, CARDS_CSV_EXT, formatCsv, readCardTable } = require('./deck-table');
+const { NAME_MAX_LENGTH, sanitize, parentKey } = require('./manifest-discovery');
+
+/** ===== GUIDs: full-tree validation and regeneration in src/ ===== */
+
+const GUID_RE = /^[0-9a-f]{6}$/;
+const RELATIONS = ['ContainedObjects', 'ChildObjects'];
+const GUID_CALL = /(getObjectFromGUID\s*\(\s*)(["'])([^"'\n]*)\2/g;
+
+/** Random GUID in TTS's 6-hex format that is not in `used` (the new one is added) */
+function newGuid(used) {
+  for (;;) {
+    const guid = crypto.randomBytes(3).toString('hex');
+    if (!used.has(guid)) {
+      used.add(guid);
+      return guid;
+    }
+  }
+}
+
+/**
+ * Every object of a save tree → [{ guid, path, depth }] (ContainedObjects, States and ChildObjects included).
+ * @param {object[]} objectStates
+ */
+function listTreeGuids(objectStates) {
+  const out = [];
+  const walk = (obj, p, depth) => {
+    if (!obj || typeof obj !== 'object') return;
+    out.push({ guid: obj.GUID || null, path: p, depth });
+    for (const key of RELATIONS) {
+      (Array.isArray(obj[key]) ? obj[key] : []).forEach((child, i) => walk(child, `${p}.${key}[${i}]`, depth + 1));
+    }
+    for (const [k, state] of Object.entries(obj.States || {})) walk(state, `${p}.States["${k}"]`, depth + 1);
+  };
+  (objectStates || []).forEach((obj, i) => walk(obj, `ObjectStates[${i}]`, 0));
+  return out;
+}
+
+/**
+ * GUID problems of a save tree (`conflicts` → how many of them are duplicates / missing GUIDs).
+ *   errors   → missing GUID, one GUID used by several objects when one of them is on the table (top level)
+ *   warnings → duplicates only among nested objects, non 6-hex GUIDs. Nested objects are not on the table, so the
+ *              save loads as is and TTS re-assigns such a GUID when the object is taken out; only scripts expecting
+ *              the old GUID notice, which is why `guids --fix` still regenerates them.
+ */
+function checkTreeGuids(objectStates) {
+  const errors = [];
+  const warnings = [];
+  const byGuid = new Map();
+  let conflicts = 0;
+
+  for (const item of listTreeGuids(objectStates)) {
+    if (!item.guid) { errors.push(`${item.path} is missing GUID.`); conflicts++; continue; }
+    if (!GUID_RE.test(item.guid)) warnings.push(`${item.path} has a non-standard GUID "${item.guid}" (TTS uses 6 hex digits)`);
+    if (!byGuid.has(item.guid)) byGuid.set(item.guid, []);
+    byGuid.get(item.guid).push(item);
+  }
+  for (const [guid, items] of byGuid) {
+    if (items.length < 2) continue;
+    const message = `duplicate GUID ${guid}: ${items.map(i => i.path).join(', ')}`;
+    conflicts++;
+    if (items.some(i => i.depth === 0)) errors.push(message);
+    else warnings.push(`${message} (all inside containers: the save loads, and TTS gives an object taken out a new GUID while its own is in use)`);
+  }
+  return { errors, warnings, conflicts };
+}
+
+/** ===== src/ repair ===== */
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf-8'));
+const writeJson = (file, value) => fs.writeFileSync(file, JSON.stringify(value, null, 2), 'utf-8');
+const toPosix = (p) => p.split(path.sep).join('/');
+
+/** Replaces getObjectFromGUID("<old>") literals; returns the new code and the number of replacements */
+function replaceGuidLiterals(code, mapping) {
+  let count = 0;
+  const out = code.replace(GUID_CALL, (m, call, q, guid) => {
+    if (!mapping.has(guid)) return m;
+    count++;
+    return `${call}${q}${mapping.get(guid)}${q}`;
+  });
+  return { code: out, count };
+}
+
+/**
+ * getObjectFromGUID("<old>") literals naming a regenerated GUID, in Global and every object script, worked out
+ * before anything is renamed. In the Lua of a regenerated object or its contents the literal gets that object's
+ * new GUID; in the Lua of the object that kept the GUID (or its contents) it stays. Anywhere else it stays only when
+ * the object that kept the GUID is the one on the table with it (the only one getObjectFromGUID can find);
+ * otherwise it is added to `report.errors`.
+ * @returns {{file: string, code: string, count: number}[]} the scripts to rewrite
+ */
+function resolveGuidLiterals(srcDir, manifest, groups, report, maxLength) {
+  const renamed = new Map(); // manifest entry → new GUID
+  for (const f of report.fixes) if (f.kind === 'object' && f.from) renamed.set(f.object.entry, f.to);
+  const regenerated = new Set(report.fixes.filter(f => f.from).map(f => f.from));
+  if (regenerated.size === 0) return [];
+
+  // Parent entry: the object with the parent GUID whose <Nickname>_<GUID> folder holds the file (see moveChildren)
+  const parentOf = (entry) => {
+    if (!entry.parent) return null;
+    const dir = path.basename(path.dirname(entry.file));
+    const candidates = manifest.filter(e => e.guid === entry.parent && parentKey(e.nickname, e.guid, maxLength) === dir);
+    return candidates.find(e => !renamed.has(e)) || (candidates.length === 1 ? candidates[0] : null);
+  };
+  const chainOf = (entry) => {
+    const out = [];
+    for (let e = entry; e && out.length < 100; e = parentOf(e)) out.push(e);
+    return out;
+  };
+  const describe = (o) => o.kind === 'card' ? `${toPosix(path.relative(srcDir, o.table.file))} (card "${o.row.nickname || ''}")` : o.entry.file;
+
+  const scripts = [
+    { json: path.join(srcDir, 'Global', 'Global.json'), chain: [] },
+    ...manifest.map(entry => ({ json: path.join(srcDir, entry.file), chain: chainOf(entry) })),
+  ];
+  const edits = [];
+  for (const script of scripts) {
+    for (const ext of ['.lua', '.ttslua']) {
+      const file = script.json.replace(/\.json$/i, ext);
+      if (!fs.existsSync(file)) continue;
+      const source = fs.readFileSync(file, 'utf-8');
+      let count = 0;
+      const code = source.replace(GUID_CALL, (m, call, q, guid, offset) => {
+        if (!regenerated.has(guid)) return m;
+        const holder = script.chain.find(e => e.guid === guid);
+        if (holder && renamed.has(holder)) {
+          count++;
+          return `${call}${q}${renamed.get(holder)}${q}`;
+        }
+        if (holder) return m;
+        const [keeper, ...others] = groups.get(guid);
+        if (keeper.depth === 0 && others.every(o => o.depth > 0)) return m;
+        const line = source.slice(0, offset).split('\n').length;
+        report.errors.push(`${toPosix(path.relative(srcDir, file))}:${line}: getObjectFromGUID("${guid}") cannot be resolved: `
+          + `${guid} stays on ${describe(keeper)} and is regenerated on ${others.map(describe).join(', ')}; set the GUID by hand`);
+        return m;
+      });
+      if (count) edits.push({ file, code, count });
+    }
+  }
+  return edits;
+}
+
+/**
+ * Finds missing and duplicate GUIDs in src/ (manifest objects and deck card tables) and, unless dryRun,
+ * regenerates them. The first object with a GUID keeps it (top level first, then manifest order); the others get
+ * new GUIDs, and with them: the JSON "GUID", the manifest entry, the file name suffix (…_<guid>.json + sidecars),
+ * their children's folder (<Nickname>_<guid>) and `parent` references, and getObjectFromGUID("…") literals
+ * (see resolveGuidLiterals; the ones that cannot be resolved are `errors`).
+ * @returns {{fixes: object[], warnings: string[], errors: string[], luaReplacements: number}}
+ */
+function fixSrcGuids(srcDir, { dryRun = false, maxLength = NAME_MAX_LENGTH } = {}) {
+  const manifestPath = path.join(srcDir, 'manifest.json');
+  const manifest = readJson(manifestPath);
+  const report = { fixes: [], warnings: [], errors: [], luaReplacements: 0 };
+
+  const depthOf = (entry) => {
+    let d = 0;
+    for (let p = entry.parent; p && d < 100; d++) p = (manifest.find(e => e.guid === p) || {}).parent;
+    return d;
+  };
+
+  // Occurrences: objects and deck table rows
+  const occurrences = [];
+  manifest.forEach((entry, index) => {
+    occurrences.push({ kind: 'object', entry, guid: entry.guid || null, depth: depthOf(entry), index });
+    const base = path.join(srcDir, entry.file).replace(/\.json$/i, '');
+    if (!fs.existsSync(base + DECK_EXT)) return;
+    const table = readCardTable(base);
+    table.rows.forEach(row => occurrences.push({
+      kind: 'card', entry, table, row, guid: String(row.guid || '').trim() || null, depth: depthOf(entry) + 1, index,
+    }));
+  });
+
+  const used = new Set(occurrences.map(o => o.guid).filter(Boolean));
+  const groups = new Map();
+  for (const o of occurrences) {
+    if (!o.guid) continue;
+    if (!groups.has(o.guid)) groups.set(o.guid, []);
+    groups.get(o.guid).push(o);
+  }
+
+  const toFix = occurrences.filter(o => o.kind === 'object' && !o.guid);
+  for (const list of groups.values()) {
+    if (list.length < 2) continue;
+    list.sort((a, b) => a.depth - b.depth || a.index - b.index);
+    toFix.push(...list.slice(1));
+  }
+  // Card rows without a GUID get a stable one on merge; only duplicates are fixed here
+  toFix.sort((a, b) => a.index - b.index);
+
+  const tables = new Set();
+  for (const o of toFix) {
+    const guid = newGuid(used);
+    const where = o.kind === 'card' ? `${toPosix(path.relative(srcDir, o.table.file))} (card "${o.row.nickname || ''}")` : o.entry.file;
+    report.fixes.push({ kind: o.kind, where, from: o.guid, to: guid, object: o });
+    if (o.kind === 'card') { o.row.guid = guid; tables.add(o.table); }
+  }
+  const scripts = resolveGuidLiterals(srcDir, manifest, groups, report, maxLength);
+  report.luaReplacements = scripts.reduce((n, s) => n + s.count, 0);
+  if (dryRun) return report;
+
+  // Lua first, while the files are still where the manifest says
+  for (const script of scripts) fs.writeFileSync(script.file, script.code, 'utf-8');
+
+  // Card tables: rewrite with their own columns
+  for (const table of tables) {
+    if (table.file.endsWith(CARDS_CSV_EXT)) {
+      const columns = Object.keys(table.rows[0] || {});
+      fs.writeFileSync(table.file, formatCsv(table.rows, columns), 'utf-8');
+    } else {
+      writeJson(table.file, table.rows);
+    }
+  }
+
+  // Objects, parents first (manifest order), so folder renames are seen by the children
+  for (const fix of report.fixes.filter(f => f.kind === 'object')) {
+    const entry = fix.object.entry;
+    const old = fix.from;
+    const jsonFile = path.join(srcDir, entry.file);
+    const obj = readJson(jsonFile);
+    obj.GUID = fix.to;
+    writeJson(jsonFile, obj);
+    entry.guid = fix.to;
+
+    // <order>_<name>_<guid>.json → …_<new>.json (+ sidecars)
+    const baseName = path.basename(entry.file, '.json');
+    const suffix = `_${sanitize(old || 'noguid', maxLength)}`;
+    if (baseName.endsWith(suffix)) {
+      const nextRel = toPosix(path.join(path.dirname(entry.file), `${baseName.slice(0, -suffix.length)}_${fix.to}.json`));
+      const fromBase = path.join(srcDir, entry.file).replace(/\.json$/i, '');
+      const toBase = path.join(srcDir, nextRel).replace(/\.json$/i, '');
+      if (!fs.existsSync(toBase + '.json')) {
+        for (const ext of ['.json', ...SIDECAR_EXTS]) {
+          if (fs.existsSync(fromBase + ext)) fs.renameSync(fromBase + ext, toBase + ext);
+        }
+        entry.file = nextRel;
+      }
+    }
+
+    if (old) moveChildren(srcDir, manifest, entry, old, fix.to, report, maxLength);
+  }
+
+  writeJson(manifestPath, manifest);
+  return report;
+}
+
+/**
+ * Children of a regenerated object: entries with parent === old in a folder named <Nickname>_<old>.
+ * The folder is renamed to <Nickname>_<new> and the parents updated; when several objects with the
+ * old GUID share that folder name, the children stay with the one that kept the GUID.
+ */
+function moveChildren(srcDir, manifest, entry, old, guid, report, maxLength) {
+  const key = parentKey(entry.nickname, old, maxLength);
+  const sameKey = manifest.filter(e => e !== entry && e.guid === old && parentKey(e.nickname, old, maxLength) === key);
+  const children = manifest.filter(e => e.parent === old && path.basename(path.dirname(e.file)) === key);
+  if (children.length === 0) return;
+  if (sameKey.length) {
+    report.warnings.push(`${entry.file}: children folder ${key} is shared with another object using ${old}; children kept there`);
+    return;
+  }
+
+  for (const dir of new Set(children.map(c => path.dirname(c.file)))) {
+    const nextDir = toPosix(path.join(path.dirname(dir), parentKey(entry.nickname, guid, maxLength)));
+    if (fs.existsSync(path.join(srcDir, nextDir))) {
+      report.warnings.push(`${dir}: cannot rename to ${nextDir} (exists); children kept there`);
+    } else {
+      fs.renameSync(path.join(srcDir, dir), path.join(srcDir, nextDir));
+      const prefix = toPosix(dir) + '/';
+      for (const e of manifest) {
+        if (toPosix(e.file).startsWith(prefix)) e.file = nextDir + '/' + toPosix(e.file).slice(prefix.length);
+      }
+    }
+    for (const child of children) {
+      if (path.dirname(child.file) === dir || toPosix(path.dirname(child.file)) === nextDir) child.parent = guid;
+    }
+  }
+}
+
+module.exports = {
+  GUID_RE,
+  newGuid,
+  listTreeGuids,
+  checkTreeGuids,
+  replaceGuidLiterals,
+  fixSrcGuids,
+};
@@ -0,0 +1,194 @@
+// modules/incremental-split.js
+const fs = require('fs');
+const path = require('path');
+const { DECK_EXT, CARDS_CSV_EXT, CARDS_JSON_EXT } = require('./deck-table');
+
+// Files that belong to an object next to its <base>.json
+const SIDECAR_EXTS = ['.lua', '.ttslua', '.state.txt', '.xml', '.memo.txt', DECK_EXT, CARDS_CSV_EXT, CARDS_JSON_EXT];
+
+const toPosix = (p) => p.split(path.sep).join('/');
+const stripJson = (p) => p.replace(/\.json$/i, '');
+
+/** Manifest of the previous split (null when there is none); throws on a manifest that is not valid JSON */
+function readPreviousManifest(outputDir) {
+  const manifestPath = path.join(outputDir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) return null;
+  try {
+    const list = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    return Array.isArray(list) ? list : null;
+  } catch {
+    throw new Error(`Invalid JSON: ${manifestPath}`);
+  }
+}
+
+/**
+ * Matches objects of the new save to entries of the previous manifest by GUID,
+ * so that split keeps the existing file paths instead of regenerating them.
+ * @param {object[]} previous  previous manifest entries
+ * @param {{rename?: boolean}} opts  rename → always use freshly generated names
+ */
+function createPathResolver(previous, opts = {}) {
+  const rename = !!opts.rename;
+  const byGuid = new Map();
+  const containerDirs = new Map();
+  const sameRelation = (a, b) => (a || 'contained') === (b || 'contained');
+
+  for (const entry of previous) {
+    if (entry.guid) {
+      if (!byGuid.has(entry.guid)) byGuid.set(entry.guid, []);
+      byGuid.get(entry.guid).push(entry);
+    }
+    if (entry.parent) {
+      const key = `${entry.parent}|${entry.relation || 'contained'}`;
+      if (!containerDirs.has(key)) containerDirs.set(key, path.dirname(entry.file));
+    }
+  }
+
+  const matched = new Set();
+  const moves = [];
+  const added = new Set();
+
+  return {
+    /** Folder for the children of `parentGuid` — reuse the folder their siblings already live in */
+    containerDir(parentGuid, relation, defaultDir) {
+      if (rename || !parentGuid) return defaultDir;
+      return containerDirs.get(`${parentGuid}|${relation || 'contained'}`) || defaultDir;
+    },
+
+    /** Path of the object JSON (relative to outputDir) */
+    objectFile(guid, parentGuid, relation, defaultFile) {
+      const candidates = (guid && byGuid.get(guid)) || [];
+      const free = candidates.filter(e => !matched.has(e));
+      const prev = free.find(e => (e.parent || null) === (parentGuid || null) && sameRelation(e.relation, relation))
+        || free[0];
+      if (!prev) {
+        added.add(path.normalize(defaultFile));
+        return defaultFile;
+      }
+
+      matched.add(prev);
+      const sameSlot = (prev.parent || null) === (parentGuid || null) && sameRelation(prev.relation, relation);
+      const file = (sameSlot && !rename) ? prev.file : defaultFile;
+      if (path.normalize(file) !== path.normalize(prev.file)) moves.push({ from: prev.file, to: file });
+      return file;
+    },
+
+    moves,
+    isNew: (file) => added.has(path.normalize(file)),
+    unmatched: () => previous.filter(e => !matched.has(e)),
+  };
+}
+
+function removeEmptyDirs(dir, stopAt) {
+  let current = dir;
+  while (path.resolve(current) !== path.resolve(stopAt) && fs.existsSync(current)) {
+    if (fs.readdirSync(current).length > 0) break;
+    fs.rmdirSync(current);
+    current = path.dirname(current);
+  }
+}
+
+function readIfExists(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+}
+
+/**
+ * Writes `outputs` (relPath → content) into an existing src/ tree, touching only what changed.
+ * Files that are not produced by split (and not owned by a removed object) are left alone.
+ * @param {{ownedFiles?: string[]}} opts  ownedFiles → non-object files split manages (Global/*), removed when not produced
+ * @returns {{added: object[], removed: object[], changed: object[], moved: object[], unchanged: number}}
+ */
+function applyIncremental(outputDir, outputs, manifest, resolver, opts = {}) {
+  const ownedFiles = opts.ownedFiles || [];
+  const report = { added: [], removed: [], changed: [], moved: [], unchanged: 0 };
+
+  // 1) Moves first, so git sees renames rather than delete + add
+  for (const { from, to } of resolver.moves) {
+    const fromBase = stripJson(path.join(outputDir, from));
+    const toBase = stripJson(path.join(outputDir, to));
+    for (const ext of ['.json', ...SIDECAR_EXTS]) {
+      const src = fromBase + ext;
+      if (!fs.existsSync(src)) continue;
+      fs.mkdirSync(path.dirname(toBase), { recursive: true });
+      fs.renameSync(src, toBase + ext);
+    }
+    removeEmptyDirs(path.dirname(fromBase), outputDir);
+  }
+
+  // 2) Keep a user's .ttslua instead of adding a parallel .lua
+  const finalOutputs = new Map();
+  for (const [rel, content] of outputs) {
+    let target = rel;
+    if (/\.lua$/i.test(rel)) {
+      const tts = rel.replace(/\.lua$/i, '.ttslua');
+      if (!fs.existsSync(path.join(outputDir, rel)) && fs.existsSync(path.join(outputDir, tts))) target = tts;
+    }
+    finalOutputs.set(path.normalize(target), content);
+  }
+
+  // 3) Write what differs
+  const changedFiles = new Set();
+  for (const [rel, content] of finalOutputs) {
+    const full = path.join(outputDir, rel);
+    if (readIfExists(full) === content) continue;
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, content, 'utf-8');
+    changedFiles.add(rel);
+  }
+
+  // 4) Drop sidecars no longer produced (e.g. a script was cleared) and files of removed objects
+  const deleteIfStale = (rel) => {
+    const norm = path.normalize(rel);
+    const full = path.join(outputDir, norm);
+    if (finalOutputs.has(norm) || !fs.existsSync(full)) return false;
+    fs.unlinkSync(full);
+    removeEmptyDirs(path.dirname(full), outputDir);
+    return true;
+  };
+
+  for (const entry of manifest) {
+    const base = stripJson(path.normalize(entry.file));
+    for (const ext of SIDECAR_EXTS) {
+      if (deleteIfStale(base + ext)) changedFiles.add(base + ext);
+    }
+  }
+  for (const rel of ownedFiles) deleteIfStale(rel);
+
+  for (const entry of resolver.unmatched()) {
+    const base = stripJson(path.normalize(entry.file));
+    for (const ext of ['.json', ...SIDECAR_EXTS]) deleteIfStale(base + ext);
+    report.removed.push(entry);
+  }
+
+  // 5) Per-object summary
+  const movedTo = new Map(resolver.moves.map(m => [path.normalize(m.to), m.from]));
+  for (const entry of manifest) {
+    const base = stripJson(path.normalize(entry.file));
+    const touched = ['.json', ...SIDECAR_EXTS].some(ext => changedFiles.has(base + ext));
+    const from = movedTo.get(path.normalize(entry.file));
+    if (resolver.isNew(entry.file)) report.added.push(entry);
+    else if (from) report.moved.push({ ...entry, from });
+    else if (touched) report.changed.push(entry);
+    else report.unchanged++;
+  }
+
+  return report;
+}
+
+function printIncrementalReport(report, logger = console) {
+  const label = (e) => `${e.nickname || e.type} (${e.guid || 'noguid'}) → ${toPosix(e.file)}`;
+  logger.log(`🔄 Incremental split: +${report.added.length} added, -${report.removed.length} removed, ` +
+    `~${report.changed.length} changed, ↪ ${report.moved.length} moved, ${report.unchanged} unchanged`);
+  report.added.forEach(e => logger.log(`  + ${label(e)}`));
+  report.removed.forEach(e => logger.log(`  - ${label(e)}`));
+  report.changed.forEach(e => logger.log(`  ~ ${label(e)}`));
+  report.moved.forEach(e => logger.log(`  ↪ ${toPosix(e.from)} → ${toPosix(e.file)}`));
+}
+
+module.exports = {
+  SIDECAR_EXTS,
+  readPreviousManifest,
+  createPathResolver,
+  applyIncremental,
+  printIncrementalReport,
+};
@@ -0,0 +1,117 @@
+// modules/json-diff.js
+/** ===== Structural JSON diff (key order is ignored) ===== */
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  return typeof v;
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Ignore patterns are JSON paths without the leading "$", e.g.:
+ *   VersionNumber
+ *   ObjectStates[*].Transform      ([*] = any index, * = any key)
+ *   **.LuaScriptState              (** = any depth)
+ * A pattern also ignores everything below the path it matches.
+ */
+function compileIgnore(patterns = []) {
+  return patterns
+    .map(p => String(p).trim().replace(/^\$\.?/, ''))
+    .filter(Boolean)
+    .map(p => {
+      let src = '';
+      let i = 0;
+      if (p.startsWith('**.')) { src += '(?:.*\\.)?'; i = 3; }
+      while (i < p.length) {
+        if (p.startsWith('**', i)) { src += '.*'; i += 2; }
+        else if (p.startsWith('[*]', i)) { src += '\\[\\d+\\]'; i += 3; }
+        else if (p[i] === '*') { src += '[^.\\[]+'; i += 1; }
+        else { src += p[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); i += 1; }
+      }
+      return new RegExp(`^\\$\\.${src}(?:$|[.\\[])`);
+    });
+}
+
+// first differing line of two multi-line strings (1-based)
+function firstDiffLine(a, b) {
+  const la = a.split('\n');
+  const lb = b.split('\n');
+  const n = Math.max(la.length, lb.length);
+  for (let i = 0; i < n; i++) {
+    if (la[i] !== lb[i]) return { line: i + 1, a: la[i], b: lb[i] };
+  }
+  return null;
+}
+
+/**
+ * @param {*} a  expected (original)
+ * @param {*} b  actual (rebuilt)
+ * @param {{ignore?: string[]}} opts
+ * @returns {{path: string, kind: 'added'|'removed'|'type'|'value', a?: *, b?: *, line?: number}[]}
+ */
+function diffJSON(a, b, opts = {}) {
+  const ignore = compileIgnore(opts.ignore);
+  const isIgnored = (p) => ignore.some(re => re.test(p));
+  const diffs = [];
+
+  function walk(x, y, p) {
+    if (isIgnored(p)) return;
+
+    const tx = typeOf(x);
+    const ty = typeOf(y);
+    if (tx === 'undefined') return diffs.push({ path: p, kind: 'added', b: y });
+    if (ty === 'undefined') return diffs.push({ path: p, kind: 'removed', a: x });
+    if (tx !== ty) return diffs.push({ path: p, kind: 'type', a: x, b: y });
+
+    if (tx === 'array') {
+      const n = Math.max(x.length, y.length);
+      for (let i = 0; i < n; i++) walk(x[i], y[i], joinPath(p, i));
+      return;
+    }
+    if (tx === 'object') {
+      const keys = new Set([...Object.keys(x), ...Object.keys(y)]);
+      for (const k of keys) walk(x[k], y[k], joinPath(p, k));
+      return;
+    }
+    if (x !== y) {
+      const d = { path: p, kind: 'value', a: x, b: y };
+      if (tx === 'string' && (x.includes('\n') || y.includes('\n'))) {
+        const at = firstDiffLine(x, y);
+        if (at) d.line = at.line;
+      }
+      diffs.push(d);
+    }
+  }
+
+  walk(a, b, '$');
+  return diffs;
+}
+
+function preview(v, max = 80) {
+  const s = JSON.stringify(v);
+  if (s === undefined) return 'undefined';
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function formatDiff(d) {
+  switch (d.kind) {
+    case 'added': return `+ ${d.path}: ${preview(d.b)}`;
+    case 'removed': return `- ${d.path}: ${preview(d.a)}`;
+    case 'type': return `~ ${d.path}: ${typeOf(d.a)} → ${typeOf(d.b)}`;
+    default:
+      return d.line
+        ? `~ ${d.path} (first difference at line ${d.line})`
+        : `~ ${d.path}: ${preview(d.a)} → ${preview(d.b)}`;
+  }
+}
+
+module.exports = {
+  diffJSON,
+  formatDiff,
+  compileIgnore,
+};
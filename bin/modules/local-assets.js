@@ -0,0 +1,141 @@
+// modules/local-assets.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { isUrlField, isLocalAssetRef } = require('./asset-urls');
+
+/** ===== Local assets: "assets/…" paths in split JSON ↔ final URLs in the save ===== */
+
+// Content hashes of the last build (committed with the assets, so the team sees what changed)
+const HASHES_FILE = '.asset-hashes.json';
+const HASH_LENGTH = 12;
+
+const toPosix = (p) => p.split(path.sep).join('/');
+
+/**
+ * Copy of `json` with `fn(value, fieldPath)` applied to every asset URL field (fn returns the new value).
+ * `json` itself is never changed, so a caller's save stays as it was.
+ */
+function mapAssetFields(json, fn) {
+  const walk = (v, p) => {
+    if (!v || typeof v !== 'object') return v;
+    const out = Array.isArray(v) ? [] : {};
+    for (const [k, child] of Object.entries(v)) {
+      const childPath = Array.isArray(v) ? `${p}[${k}]` : (p ? `${p}.${k}` : k);
+      out[k] = (typeof child === 'string' && !Array.isArray(v) && isUrlField(k, p))
+        ? fn(child, childPath)
+        : walk(child, childPath);
+    }
+    return out;
+  };
+  return walk(json, '');
+}
+
+function hashFile(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, HASH_LENGTH);
+}
+
+/**
+ * Turns local asset paths into final URLs:
+ *   baseUrl → <baseUrl>/<path inside assetsDir>?v=<content hash> (a changed file gets a new URL, so TTS re-downloads it);
+ *   local   → file:///<absolute path> for testing on this machine.
+ * Problems are collected in `errors` ({ where, message }) so a build can report them all at once.
+ * @param {{assetsDir: string, baseUrl?: string|null, local?: boolean}} opts
+ */
+function createAssetResolver({ assetsDir, baseUrl = null, local = false }) {
+  const root = path.resolve(assetsDir);
+  const used = new Map(); // path inside assetsDir → hash
+  const errors = [];
+
+  return {
+    used,
+    errors,
+    /** @param {string} value  field value; URLs are returned unchanged */
+    resolve(value, where) {
+      // Only paths under assetsDir are ours; every other value is kept as written
+      if (!isLocalAssetRef(value, assetsDir)) return value;
+      const file = path.resolve(value.trim());
+      const rel = path.relative(root, file);
+      if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        errors.push({ where, message: `asset not found: ${value}` });
+        return value;
+      }
+      if (!baseUrl && !local) {
+        errors.push({ where, message: `"${value}" needs ASSET_BASE_URL (or --local-assets)` });
+        return value;
+      }
+      const key = toPosix(rel);
+      if (!used.has(key)) used.set(key, hashFile(file));
+      if (local) return pathToFileURL(file).href;
+      const encoded = key.split('/').map(encodeURIComponent).join('/');
+      return `${baseUrl.replace(/\/+$/, '')}/${encoded}?v=${used.get(key)}`;
+    },
+  };
+}
+
+/**
+ * The reverse for split: URLs produced by createAssetResolver (same base URL, or file:/// inside assetsDir)
+ * become "assets/…" paths again when the file exists locally.
+ * @returns {function(string): string}
+ */
+function createAssetUnresolver({ assetsDir, baseUrl = null }) {
+  const root = path.resolve(assetsDir);
+  const prefix = baseUrl ? `${baseUrl.replace(/\/+$/, '')}/` : null;
+
+  const toRef = (file) => {
+    const rel = path.relative(root, file);
+    if (!rel || rel.startsWith('..') || path.isAbsolute(rel) || !fs.existsSync(file)) return null;
+    return toPosix(path.relative(process.cwd(), file));
+  };
+
+  return (url) => {
+    const v = String(url || '');
+    let ref = null;
+    if (prefix && v.startsWith(prefix)) {
+      const rel = v.slice(prefix.length).replace(/[?#].*$/, '');
+      try {
+        ref = toRef(path.join(root, ...rel.split('/').map(decodeURIComponent)));
+      } catch (e) { /* bad escape → keep the URL */ }
+    } else if (/^file:\/\//i.test(v)) {
+      try {
+        ref = toRef(fileURLToPath(v));
+      } catch (e) { /* not a local path on this OS */ }
+    }
+    return ref || url;
+  };
+}
+
+function readAssetHashes(assetsDir) {
+  const file = path.join(assetsDir, HASHES_FILE);
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Stores the hashes of the assets used by this build and returns what changed since the previous one.
+ * @param {string} assetsDir
+ * @param {Map<string, string>} used
+ * @returns {{added: string[], changed: string[]}}
+ */
+function writeAssetHashes(assetsDir, used) {
+  const previous = readAssetHashes(assetsDir);
+  const next = Object.fromEntries([...used.entries()].sort(([a], [b]) => a.localeCompare(b)));
+  const added = Object.keys(next).filter(k => !(k in previous));
+  const changed = Object.keys(next).filter(k => k in previous && previous[k] !== next[k]);
+  fs.writeFileSync(path.join(assetsDir, HASHES_FILE), JSON.stringify(next, null, 2), 'utf-8');
+  return { added, changed };
+}
+
+module.exports = {
+  HASHES_FILE,
+  mapAssetFields,
+  createAssetResolver,
+  createAssetUnresolver,
+  readAssetHashes,
+  writeAssetHashes,
+};
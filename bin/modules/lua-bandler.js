@@ -1,21 +1,110 @@
 // modules/lua-bundler.js
 const fs = require('fs');
-const path = require('path');
+const { minifyLuaMapped } = require('./lua-minify');
+const { normalizeModuleId, resolveSearchPaths, findModuleFile } = require('./lua-path');
+const { LuaLexError, tokenize, significantTokens, stringValue } = require('./lua-lexer');
+
+class LuaBundleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LuaBundleError';
+  }
+}
 
 /** ===== Require scan ===== */
-const REQUIRE_RE =
-  /(^|\s)require\s*(?:\(\s*["']([^"']+)["']\s*\)|\s+["']([^"']+)["'])/g;
+const isStringToken = (t) => t && (t.type === 'string' || t.type === 'longstring');
+
+/**
+ * Real require() call sites, found with the Lua lexer (comments and strings are skipped).
+ * Handles require("x"), require "x", require [[x]], require("x").fn and aliases such as
+ * `local r = require; r("x")`. Calls whose argument is not a single string literal are dynamic.
+ * @param {string} luaCode
+ * @returns {{id: string|null, line: number, col: number, dynamic: boolean}[]}
+ */
+function findRequireCalls(luaCode) {
+  const toks = significantTokens(tokenize(String(luaCode)));
+  const callers = new Set(['require']);
+  const calls = [];
+
+  for (let i = 0; i < toks.length; i++) {
+    const t = toks[i];
+    if (t.type !== 'name' || !callers.has(t.value)) continue;
+
+    // x.require / x:require are fields, not the global
+    const before = toks[i - 1];
+    if (before && before.type === 'op' && (before.value === '.' || before.value === ':')) continue;
+
+    const next = toks[i + 1];
+
+    // `local r = require` / `r = require` (plain value, not a call) → r is an alias
+    if (before && before.type === 'op' && before.value === '=' && !(next && (next.value === '(' || isStringToken(next)))) {
+      const target = toks[i - 2];
+      if (target && target.type === 'name') callers.add(target.value);
+      continue;
+    }
+
+    if (isStringToken(next)) {
+      calls.push({ id: stringValue(next), line: t.line, col: t.col, dynamic: false });
+    } else if (next && next.type === 'op' && next.value === '(') {
+      const arg = toks[i + 2];
+      const close = toks[i + 3];
+      const isStatic = isStringToken(arg) && close && close.type === 'op' && close.value === ')';
+      calls.push({ id: isStatic ? stringValue(arg) : null, line: t.line, col: t.col, dynamic: !isStatic });
+    }
+  }
+  return calls;
+}
 
 function findRequireIds(luaCode) {
   const ids = new Set();
-  let m;
-  while ((m = REQUIRE_RE.exec(luaCode)) !== null) {
-    const id = m[2] || m[3];
-    if (id) ids.add(id);
+  for (const call of findRequireCalls(luaCode)) {
+    if (!call.dynamic && call.id) ids.add(call.id);
   }
   return Array.from(ids);
 }
 
+// Default for opts.onWarning: print to `logger` like the other build warnings
+const printWarning = (logger = console) => (message) => logger.warn(`⚠️  ${message}`);
+
+/**
+ * findRequireIds + warnings for dynamic requires. Code the lexer cannot read goes to onLexError(err, file)
+ * and requires nothing; without onLexError it throws LuaBundleError.
+ */
+function scanRequires(code, who, file = null, onWarning = printWarning(), onLexError = null) {
+  const where = file ? `${who} (${file})` : who;
+  let calls;
+  try {
+    calls = findRequireCalls(code);
+  } catch (e) {
+    if (onLexError && e instanceof LuaLexError) {
+      onLexError(e, file);
+      return [];
+    }
+    throw new LuaBundleError(`${where}: cannot scan Lua for require(): ${e.message}`);
+  }
+  for (const call of calls) {
+    if (call.dynamic) {
+      onWarning(`${where}:${call.line}:${call.col}: require with a dynamic argument cannot be bundled`);
+    }
+  }
+  const ids = new Set(calls.filter(c => !c.dynamic && c.id).map(c => c.id));
+  return Array.from(ids);
+}
+
+/** ===== Build tag: first line of scripts that are not the source as written (minified, shared-module shims) ===== */
+const BUILD_TAG = '-- tts-mod-starter build:';
+const BUILD_TAG_RE = /^-- tts-mod-starter build: ([\w ,]+?)(?: \(.*\))?\r?\n(?:\r?\n)?/;
+
+function emitBuildTag(flags) {
+  return `${BUILD_TAG} ${flags.join(', ')} (generated from src/ — edit the sources, do not pull)`;
+}
+
+/** Flags of a tagged script ("minified", "shared"); [] for a plain or dev build */
+function readBuildTag(script) {
+  const m = BUILD_TAG_RE.exec(String(script || ''));
+  return m ? m[1].split(/,\s*/) : [];
+}
+
 /** ===== luabundle 1.6.0 ===== */
 function emitLuabundleHeader() {
   return `-- Bundled by luabundle {"version":"1.6.0"}
@@ -63,110 +152,373 @@ local __bundle_require, __bundle_loaded, __bundle_register, __bundle_modules = (
 end)(nil)`;
 }
 
-/** libDir/<id>.lua | .ttslua */
-function resolveModulePath(id, libDir) {
-  const parts = id.split('/').filter(Boolean);
-  const base = path.join(libDir, ...parts);
-  const candidates = [`${base}.lua`, `${base}.ttslua`];
-  for (const file of candidates) {
-    if (fs.existsSync(file)) return file;
-  }
-  return null;
-}
-
 /**
- *
- * @param {string} rootCode  Lua-code (__root)
- * @param {string} who
- * @param {{libDir?: string, debug?: boolean}} opts
- * @returns {string}
+ * Resolves `requires` (and everything they require) along the search paths, dependencies first.
+ * Modules are keyed by their normalised id ("util.serpent" → "util/serpent");
+ * other spellings used in require() calls are kept as aliases.
+ * @returns {{id: string, code: string, file: string, aliases: string[]}[]}
  */
-function bundleLuaIfNeeded(rootCode, who = 'script', opts = {}) {
-  const libDir = opts.libDir || './lib';
-  const debug = !!opts.debug;
-
-  if (typeof rootCode !== 'string') {
-    console.error(`❌ ${who}: Lua code is not a string`);
-    process.exit(1);
-  }
-
-  const requires = findRequireIds(rootCode);
-  if (requires.length === 0) {
-    if (debug) console.log(`ℹ️  No requires in ${who} → bundling skipped`);
-    return rootCode;
-  }
-
-  if (!fs.existsSync(libDir)) {
-    console.error(`❌ ${who}: require(...) found, but LIB_DIR is missing: ${libDir}`);
-    console.error(`   Put your modules into ${libDir} (e.g., ${libDir}/util/serpent.lua)`);
-    process.exit(1);
-  }
-
-  const visited = new Set();
-  const modules = []; // { id, code }
+function collectModules(requires, who, searchPaths, onWarning = printWarning(), onLexError = null) {
+  const modules = []; // { id, code, file, aliases }
+  const byId = new Map();
 
-  function loadModule(id, chain = []) {
-    if (visited.has(id)) return;
-    visited.add(id);
+  function loadModule(rawId, chain = []) {
+    const id = normalizeModuleId(rawId);
+    const known = byId.get(id);
+    if (known) {
+      if (rawId !== id && !known.aliases.includes(rawId)) known.aliases.push(rawId);
+      return;
+    }
+    const mod = { id, code: null, file: null, aliases: rawId !== id ? [rawId] : [] };
+    byId.set(id, mod);
 
-    const file = resolveModulePath(id, libDir);
+    const { file, tried } = findModuleFile(id, searchPaths);
     if (!file) {
-      console.error(`❌ ${who}: missing Lua module "${id}" → expected: ${libDir}/${id}.lua or .ttslua`);
-      process.exit(1);
+      const via = chain.length > 1 ? ` (required via ${chain.join(' -> ')})` : '';
+      throw new LuaBundleError(`${who}: missing Lua module "${rawId}"${via}\n   Tried:\n${tried.map(t => `     - ${t}`).join('\n')}`);
     }
 
     let code;
     try {
       code = fs.readFileSync(file, 'utf-8');
     } catch (e) {
-      console.error(`❌ ${who}: failed to read module "${id}" at ${file}`);
-      console.error(String(e && e.message ? e.message : e));
-      process.exit(1);
+      throw new LuaBundleError(`${who}: failed to read module "${id}" at ${file}\n${String(e && e.message ? e.message : e)}`);
     }
 
     if (!code || !String(code).trim()) {
-      console.error(`❌ ${who}: module "${id}" is empty at ${file}`);
-      process.exit(1);
+      throw new LuaBundleError(`${who}: module "${id}" is empty at ${file}`);
     }
 
-    for (const sub of findRequireIds(code)) {
-      if (chain.includes(sub)) {
-        console.warn(`⚠️  Circular require: ${[...chain, sub].join(' -> ')}`);
+    for (const sub of scanRequires(code, who, file, onWarning, onLexError)) {
+      if (chain.includes(normalizeModuleId(sub))) {
+        onWarning(`Circular require: ${[...chain, sub].join(' -> ')}`);
         continue;
       }
       loadModule(sub, [...chain, id]);
     }
 
-    modules.push({ id, code });
+    mod.code = code;
+    mod.file = file;
+    modules.push(mod);
   }
 
   for (const id of requires) loadModule(id, ['__root']);
+  return modules;
+}
+
+/** require("util.serpent") → the module registered as "util/serpent" */
+function emitAliases(m) {
+  return m.aliases.map(alias =>
+    `__bundle_register(${JSON.stringify(alias)}, function(require) return require(${JSON.stringify(m.id)}) end)`
+  );
+}
+
+/** ===== Shared modules hosted by Global ===== */
+// Global variable (in the Global script) that holds the source of shared modules
+const SHARED_TABLE = '__shared_lua_modules';
+const SHARED_PARAMS = 'local require, _LOADED, __bundle_register, __bundle_modules = ... ';
+
+/** Long-bracket literal that is safe for any content */
+function longBracket(text) {
+  let level = 0;
+  while (text.includes(']' + '='.repeat(level) + ']')) level++;
+  const eq = '='.repeat(level);
+  // a leading newline right after "[[" is dropped by Lua — add one so the source keeps its first line
+  return `[${eq}[\n${text}]${eq}]`;
+}
+
+/** Embedded module, as luabundle writes it */
+function emitModule(id, code) {
+  return `__bundle_register("${id}", function(require, _LOADED, __bundle_register, __bundle_modules)
+${code}
+end)`;
+}
+
+/** Global side: table of module sources, read by objects through Global.getTable */
+function emitSharedTable(modules) {
+  const rows = modules.map(m => `\t[${JSON.stringify(m.id)}] = ${longBracket(SHARED_PARAMS + m.code)},`);
+  return `${SHARED_TABLE} = {\n${rows.join('\n')}\n}`;
+}
+
+const emitSharedRegister = (id) => `__bundle_register("${id}", __shared_module("${id}"))`;
+
+/**
+ * Loader that compiles a shared module from the source table on first require: objects read it through
+ * Global.getTable, Global (inGlobal) from its own variable. There is no per-object fallback (it would embed the
+ * module again): a require before Global has run, or of a module Global lacks, fails with an error saying so.
+ */
+function emitSharedShim(inGlobal = false) {
+  const source = inGlobal ? SHARED_TABLE : `Global.getTable("${SHARED_TABLE}")`;
+  return `local __shared_sources
+local function __shared_module(name)
+\treturn function(...)
+\t\t__shared_sources = __shared_sources or ${source}
+\t\tif not __shared_sources then
+\t\t\terror('Shared Lua module "' .. name .. '" required before Global loaded ${SHARED_TABLE}')
+\t\tend
+\t\tlocal source = __shared_sources[name]
+\t\tif not source then
+\t\t\terror('Shared Lua module "' .. name .. '" is not provided by Global (${SHARED_TABLE}); build without --shared-lua to embed it')
+\t\tend
+\t\treturn assert(load(source, '=' .. name))(...)
+\tend
+end`;
+}
 
+/**
+ * Bytes saved by hosting a module in Global instead of embedding it in each of its `users` scripts:
+ * roughly module bytes × (users − 1) minus the table entry, shims and register lines. Negative → keep it embedded.
+ * @param {{id: string, code: string}} module
+ * @param {number} users
+ * @param {{minify?: boolean}} [opts]  minify → sizes of the minified module (release builds)
+ */
+function sharedModuleSaving(module, users, { minify = false } = {}) {
+  let code = module.code;
+  if (minify) {
+    try {
+      code = minifyLuaMapped(code).code;
+    } catch (e) {
+      // unreadable code is reported by the build itself; size it as is
+    }
+  }
+  const bytes = (text) => Buffer.byteLength(text, 'utf-8');
+  const row = bytes(emitSharedTable([{ id: module.id, code }])) - bytes(emitSharedTable([]));
+  const perUser = bytes(emitSharedRegister(module.id)) + bytes(emitSharedShim());
+  return bytes(emitModule(module.id, code)) * users - row - perUser * users;
+}
+
+/**
+ * Modules `rootCode` needs, transitively (no bundling). `opts` as for bundleLuaIfNeeded.
+ * @returns {{id: string, file: string, code: string}[]}
+ * @throws {LuaBundleError}
+ */
+function listModules(rootCode, who = 'script', opts = {}) {
+  const onWarning = opts.onWarning || printWarning(opts.logger);
+  const requires = scanRequires(String(rootCode || ''), who, null, onWarning, opts.onLexError);
+  if (requires.length === 0) return [];
+  return collectModules(requires, who, resolveSearchPaths(opts), onWarning, opts.onLexError)
+    .map(({ id, file, code }) => ({ id, file, code }));
+}
+
+/**
+ * Module ids `rootCode` needs, transitively (no bundling).
+ * @returns {string[]}
+ * @throws {LuaBundleError}
+ */
+function listModuleDeps(rootCode, who = 'script', opts = {}) {
+  return listModules(rootCode, who, opts).map(m => m.id);
+}
+
+/**
+ *
+ * @param {string} rootCode  Lua-code (__root)
+ * @param {string} who
+ * @param {{libDir?: string, luaPath?: string|string[], debug?: boolean, minify?: boolean, stats?: {before: number, after: number},
+ *          sharedModules?: Set<string>, hostModules?: string[], sharedStats?: {avoided: number, added: number},
+ *          sourceFile?: string, onSource?: function(string, string): void, onMap?: function(object): void,
+ *          onWarning?: function(string): void, onLexError?: function(Error, string|null): void,
+ *          logger?: {log: function, warn: function}}} opts
+ *   luaPath → search patterns (default: lua-paths.json, then <libDir>/?.lua …);
+ *   minify → strip comments/whitespace (release builds); stats → accumulates minified byte counts;
+ *   sharedModules → ids loaded from Global's table instead of embedded (Global itself reads them from its own table);
+ *   hostModules → ids whose source Global provides;
+ *   sharedStats → accumulates bytes not embedded (avoided) and bytes of shims/hosted sources (added);
+ *   onSource(code, file) → called for the root code (file = opts.sourceFile || who) and every module source;
+ *   onMap(map) → receives the line map of the produced script (see buildSourceMap);
+ *   onWarning(message) → dynamic / circular requires (default: printed to logger);
+ *   logger → debug output and the default warnings (default: console);
+ *   onLexError(err, file) → code the lexer cannot read (unterminated string, …) when the caller reports it itself,
+ *   e.g. through the syntax check of onSource; that code requires nothing and is not minified (default: throw);
+ *   minified scripts and scripts loading shared modules start with a build tag (see readBuildTag)
+ * @returns {string}
+ * @throws {LuaBundleError} missing / unreadable / empty module, code the lexer or minifier cannot read
+ */
+function bundleLuaIfNeeded(rootCode, who = 'script', opts = {}) {
+  const searchPaths = resolveSearchPaths(opts);
+  const debug = !!opts.debug;
+  const shared = opts.sharedModules || new Set();
+  const hostIds = opts.hostModules || [];
+  const sharedStats = opts.sharedStats || { avoided: 0, added: 0 };
+  const rootFile = opts.sourceFile || who;
+  const logger = opts.logger || console;
+  const onWarning = opts.onWarning || printWarning(logger);
+
+  // → { code, lines } where lines is null (1:1 with the source) or the minifier's line map
+  const shrink = (code) => {
+    if (!opts.minify) return { code, lines: null };
+    try {
+      const out = minifyLuaMapped(code);
+      if (opts.stats) {
+        opts.stats.before += Buffer.byteLength(code, 'utf-8');
+        opts.stats.after += Buffer.byteLength(out.code, 'utf-8');
+      }
+      return out;
+    } catch (e) {
+      if (opts.onLexError && e instanceof LuaLexError) return { code, lines: null };
+      throw new LuaBundleError(`${who}: cannot minify Lua: ${e.message}`);
+    }
+  };
+
+  if (typeof rootCode !== 'string') {
+    throw new LuaBundleError(`${who}: Lua code is not a string`);
+  }
+
+  const onSource = opts.onSource || (() => {});
+  onSource(rootCode, rootFile);
+
+  const requires = scanRequires(rootCode, who, null, onWarning, opts.onLexError);
+  if (requires.length === 0 && hostIds.length === 0) {
+    if (debug) logger.log(`ℹ️  No requires in ${who} → bundling skipped`);
+    const plain = shrink(rootCode);
+    const parts = [{ text: plain.code, file: rootFile, at: 0, count: countLines(plain.code), lines: plain.lines }];
+    if (opts.minify) parts.unshift({ text: emitBuildTag(['minified']) });
+    if (opts.onMap) opts.onMap(buildSourceMap(who, parts, {}));
+    return parts.map(p => p.text).join('\n\n');
+  }
+
+  const modules = requires.length ? collectModules(requires, who, searchPaths, onWarning, opts.onLexError) : [];
+  const hosted = hostIds.length ? collectModules(hostIds, who, searchPaths, onWarning, opts.onLexError) : [];
+  for (const m of [...modules, ...hosted]) onSource(m.code, m.file);
+
+  // parts: { text, file?, at?, count?, lines? } — `at` = line offset of the source inside `text`, `count` = its lines
   const out = [];
-  out.push(emitLuabundleHeader());
+  const chunks = {}; // modules compiled from Global's shared table (chunk name = module id)
+  out.push({ text: emitLuabundleHeader() });
+
+  if (hosted.length) {
+    const table = emitSharedTable(hosted
+      .filter(m => hostIds.includes(m.id))
+      .map(m => ({ id: m.id, code: shrink(m.code).code })));
+    sharedStats.added += Buffer.byteLength(table, 'utf-8');
+    out.push({ text: table });
+  }
 
-  for (const m of modules) {
-    out.push(
-      `__bundle_register("${m.id}", function(require, _LOADED, __bundle_register, __bundle_modules)
-${m.code}
-end)`
-    );
+  const local = modules.filter(m => !shared.has(m.id));
+  const remote = modules.filter(m => shared.has(m.id));
+  const flags = [...(opts.minify ? ['minified'] : []), ...(remote.length ? ['shared'] : [])];
+  if (flags.length) out.unshift({ text: emitBuildTag(flags) });
+  if (remote.length) {
+    const shim = emitSharedShim(hosted.length > 0);
+    out.push({ text: shim });
+    sharedStats.added += Buffer.byteLength(shim, 'utf-8');
   }
 
-  out.push(
-    `__bundle_register("__root", function(require, _LOADED, __bundle_register, __bundle_modules)
-${rootCode}
+  for (const m of local) {
+    const body = shrink(m.code);
+    out.push({
+      text: emitModule(m.id, body.code),
+      file: m.file,
+      at: 1,
+      count: countLines(body.code),
+      lines: body.lines,
+    });
+    out.push(...emitAliases(m).map(text => ({ text })));
+  }
+
+  for (const m of remote) {
+    const line = emitSharedRegister(m.id);
+    const body = shrink(m.code);
+    sharedStats.avoided += Buffer.byteLength(body.code, 'utf-8');
+    sharedStats.added += Buffer.byteLength(line, 'utf-8');
+    chunks[m.id] = { file: m.file, lines: body.lines };
+    out.push({ text: line }, ...emitAliases(m).map(text => ({ text })));
+  }
+
+  const root = shrink(rootCode);
+  out.push({
+    text: `__bundle_register("__root", function(require, _LOADED, __bundle_register, __bundle_modules)
+${root.code}
 end)
 
-return __bundle_require("__root")`
-  );
+return __bundle_require("__root")`,
+    file: rootFile,
+    at: 1,
+    count: countLines(root.code),
+    lines: root.lines,
+  });
+
+  if (opts.onMap) opts.onMap(buildSourceMap(who, out, chunks));
+
+  if (debug) {
+    const extra = remote.length ? `, ${remote.length} via Global` : '';
+    const host = hosted.length ? `, hosting ${hosted.length} shared` : '';
+    logger.log(`🧵 ${who}: bundled ${local.length} module(s) from ${searchPaths.join(';')}${extra}${host}`);
+  }
+  return out.map(p => p.text).join('\n\n');
+}
+
+/** ===== Source maps ===== */
+const countLines = (text) => text.split('\n').length;
+
+/**
+ * Line map of a bundled script: ranges of bundle lines [from..to] that map to `file` starting at `line`.
+ * Minified code maps line by line. Parts are joined with a blank line, as in bundleLuaIfNeeded.
+ * @returns {{who: string, lines: number, mappings: {from: number, to: number, file: string, line: number}[],
+ *            chunks: Object<string, {file: string, lines: number[]|null}>}}
+ */
+function buildSourceMap(who, parts, chunks) {
+  const mappings = [];
+  let cursor = 1;
+  for (const part of parts) {
+    if (part.file) {
+      const start = cursor + part.at;
+      const bodyLines = part.lines ? part.lines.length : part.count;
+      if (part.lines) {
+        part.lines.forEach((src, k) => mappings.push({ from: start + k, to: start + k, file: part.file, line: src }));
+      } else if (bodyLines > 0) {
+        mappings.push({ from: start, to: start + bodyLines - 1, file: part.file, line: 1 });
+      }
+    }
+    cursor += countLines(part.text) + 1;
+  }
+  return { who, lines: cursor - 2, mappings, chunks };
+}
+
+/**
+ * Bundle line → original { file, line } (null when the line belongs to generated code).
+ * @param {{mappings: object[], chunks?: object}} map
+ * @param {number} line  1-based line in the bundled script (or in the chunk when `chunk` is given)
+ * @param {string} [chunk]  shared module id, for errors raised inside a Global-hosted module
+ */
+function traceLine(map, line, chunk = null) {
+  if (chunk) {
+    const c = map.chunks && map.chunks[chunk];
+    if (!c) return null;
+    return { file: c.file, line: c.lines ? c.lines[line - 1] || null : line };
+  }
+  const m = map.mappings.find(r => line >= r.from && line <= r.to);
+  if (!m) return null;
+  return { file: m.file, line: m.line + (line - m.from) };
+}
 
-  if (debug) console.log(`🧵 ${who}: bundled ${modules.length} module(s) from ${libDir}`);
-  return out.join('\n\n');
+/**
+ * TTS / MoonSharp messages look like:
+ *   Error in Script (Card - a1b2c3) function <onLoad>: chunk_3:(12,4-20): attempt to call a nil value
+ *   Error in Global Script: chunk_1:(40,2): ...
+ *   util/common:(5,2-10): ...   (shared module loaded from Global)
+ * Only "(Name - guid)" counts as a GUID; script is null when the message names neither a GUID nor Global.
+ * @returns {{script: string|null, line: number|null, chunk: string|null}}
+ */
+function parseErrorMessage(msg) {
+  const guid = /\(\s*[^()]*?-\s*([0-9a-fA-F]{6})\s*\)/.exec(msg);
+  const script = /\bGlobal\b/i.test(msg) && !guid ? 'Global' : (guid ? guid[1] : null);
+  const pos = /([\w./-]+):\((\d+)(?:,\d+)?(?:-\d+)?\)/.exec(msg) || /([\w./-]+):(\d+):/.exec(msg);
+  if (!pos) return { script, line: null, chunk: null };
+  const chunkName = pos[1];
+  const isChunk = !/^chunk_\d+$/i.test(chunkName) && !/^global$/i.test(chunkName);
+  return { script, line: Number(pos[2]), chunk: isChunk ? chunkName : null };
 }
 
 module.exports = {
-  REQUIRE_RE,
+  SHARED_TABLE,
+  readBuildTag,
+  LuaBundleError,
+  findRequireCalls,
   findRequireIds,
+  listModules,
+  listModuleDeps,
+  sharedModuleSaving,
   bundleLuaIfNeeded,
-};
\ No newline at end of file
+  traceLine,
+  parseErrorMessage,
+};
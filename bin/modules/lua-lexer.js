@@ -0,0 +1,202 @@
+// modules/lua-lexer.js
+/** ===== Minimal Lua 5.2 / MoonSharp lexer ===== */
+
+const KEYWORDS = new Set([
+  'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function', 'goto', 'if', 'in',
+  'local', 'nil', 'not', 'or', 'repeat', 'return', 'then', 'true', 'until', 'while',
+]);
+
+// Longest first, so "..." wins over ".." and "."; "!=" is MoonSharp's spelling of "~=", "|" its lambda bar
+const OPERATORS = [
+  '...', '..', '==', '~=', '!=', '<=', '>=', '::', '//', '<<', '>>',
+  '+', '-', '*', '/', '%', '^', '#', '&', '~', '|', '<', '>', '=',
+  '(', ')', '{', '}', '[', ']', ';', ':', ',', '.',
+];
+// Lua 5.3 operators: matched so they are reported by name, but TTS (Lua 5.2 / MoonSharp) cannot run them
+const LUA53_OPERATORS = new Set(['//', '<<', '>>', '&', '~']);
+
+class LuaLexError extends Error {
+  constructor(message, line, col) {
+    super(`${message} at ${line}:${col}`);
+    this.name = 'LuaLexError';
+    this.line = line;
+    this.col = col;
+  }
+}
+
+const isDigit = (c) => c >= '0' && c <= '9';
+const isHex = (c) => /[0-9a-fA-F]/.test(c);
+const isNameStart = (c) => /[A-Za-z_]/.test(c);
+const isNameChar = (c) => /[A-Za-z0-9_]/.test(c);
+
+/** "[==[" at i → level 2; not a long bracket → -1 */
+function longBracketLevel(src, i) {
+  if (src[i] !== '[') return -1;
+  let j = i + 1;
+  while (src[j] === '=') j++;
+  return src[j] === '[' ? j - i - 1 : -1;
+}
+
+/**
+ * Tokenizes Lua source. Every character of the input belongs to exactly one token,
+ * so joining all token values gives back the original source.
+ * Token types: name, keyword, number, string, longstring, comment, op, space, newline.
+ * @param {string} src
+ * @returns {{type: string, value: string, line: number, col: number, start: number, end: number}[]}
+ */
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const push = (type, start) => {
+    const value = src.slice(start, i);
+    tokens.push({ type, value, line: tokLine, col: start - tokLineStart + 1, start, end: i });
+    // advance line counters over newlines inside the token
+    for (let k = start; k < i; k++) {
+      if (src[k] === '\n') { line++; lineStart = k + 1; }
+    }
+  };
+  let tokLine = 1;
+  let tokLineStart = 0;
+
+  const fail = (message) => { throw new LuaLexError(message, line, i - lineStart + 1); };
+
+  const readLongBracket = (level) => {
+    const close = ']' + '='.repeat(level) + ']';
+    const endIdx = src.indexOf(close, i);
+    if (endIdx === -1) fail('unfinished long string/comment');
+    i = endIdx + close.length;
+  };
+
+  // skip shebang line
+  if (src.startsWith('#!')) {
+    while (i < src.length && src[i] !== '\n') i++;
+    tokLine = 1; tokLineStart = 0;
+    push('comment', 0);
+  }
+
+  while (i < src.length) {
+    const start = i;
+    tokLine = line;
+    tokLineStart = lineStart;
+    const c = src[i];
+
+    if (c === '\n') {
+      i++;
+      push('newline', start);
+      continue;
+    }
+    if (c === ' ' || c === '\t' || c === '\r' || c === '\f' || c === '\v') {
+      while (i < src.length && /[ \t\r\f\v]/.test(src[i])) i++;
+      push('space', start);
+      continue;
+    }
+
+    // comments
+    if (c === '-' && src[i + 1] === '-') {
+      i += 2;
+      const level = longBracketLevel(src, i);
+      if (level >= 0) {
+        i += level + 2;
+        readLongBracket(level);
+      } else {
+        while (i < src.length && src[i] !== '\n') i++;
+      }
+      push('comment', start);
+      continue;
+    }
+
+    // long strings
+    if (c === '[') {
+      const level = longBracketLevel(src, i);
+      if (level >= 0) {
+        i += level + 2;
+        readLongBracket(level);
+        push('longstring', start);
+        continue;
+      }
+    }
+
+    // quoted strings
+    if (c === '"' || c === "'") {
+      i++;
+      while (i < src.length && src[i] !== c) {
+        if (src[i] === '\\') i += 2;
+        else if (src[i] === '\n') fail('unfinished string');
+        else i++;
+      }
+      if (i >= src.length) fail('unfinished string');
+      i++;
+      push('string', start);
+      continue;
+    }
+
+    // numbers
+    if (isDigit(c) || (c === '.' && isDigit(src[i + 1] || ''))) {
+      if (c === '0' && /[xX]/.test(src[i + 1] || '')) {
+        i += 2;
+        while (i < src.length && (isHex(src[i]) || src[i] === '.')) i++;
+        if (/[pP]/.test(src[i] || '')) {
+          i++;
+          if (/[+-]/.test(src[i] || '')) i++;
+          while (i < src.length && isDigit(src[i])) i++;
+        }
+      } else {
+        while (i < src.length && (isDigit(src[i]) || src[i] === '.')) i++;
+        if (/[eE]/.test(src[i] || '')) {
+          i++;
+          if (/[+-]/.test(src[i] || '')) i++;
+          while (i < src.length && isDigit(src[i])) i++;
+        }
+      }
+      if (i < src.length && isNameChar(src[i])) fail('malformed number');
+      push('number', start);
+      continue;
+    }
+
+    // names / keywords
+    if (isNameStart(c)) {
+      while (i < src.length && isNameChar(src[i])) i++;
+      push(KEYWORDS.has(src.slice(start, i)) ? 'keyword' : 'name', start);
+      continue;
+    }
+
+    const op = OPERATORS.find(o => src.startsWith(o, i));
+    if (!op) fail(`unexpected symbol '${c}'`);
+    if (LUA53_OPERATORS.has(op)) fail(`'${op}' is a Lua 5.3 operator (TTS runs Lua 5.2 / MoonSharp)`);
+    i += op.length;
+    push('op', start);
+  }
+
+  return tokens;
+}
+
+/** Tokens that carry meaning (no whitespace, newlines or comments) */
+function significantTokens(tokens) {
+  return tokens.filter(t => t.type !== 'space' && t.type !== 'newline' && t.type !== 'comment');
+}
+
+/** Value of a string / longstring token without quotes or brackets (escapes are decoded for simple cases) */
+function stringValue(token) {
+  if (token.type === 'longstring') {
+    const level = longBracketLevel(token.value, 0);
+    let body = token.value.slice(level + 2, token.value.length - level - 2);
+    if (body.startsWith('\r\n')) body = body.slice(2);
+    else if (body.startsWith('\n')) body = body.slice(1);
+    return body;
+  }
+  if (token.type === 'string') {
+    return token.value.slice(1, -1).replace(/\\(["'\\])/g, '$1');
+  }
+  return null;
+}
+
+module.exports = {
+  KEYWORDS,
+  LuaLexError,
+  tokenize,
+  significantTokens,
+  stringValue,
+};
@@ -0,0 +1,67 @@
+// modules/lua-minify.js
+const { tokenize } = require('./lua-lexer');
+
+// Pairs that would lex differently when glued together ("- -" → comment, "[ [" → long string, ...)
+const GLUE_RISK = new Set(['--', '..', '.=', '[[', '[=', '==', '<=', '>=', '~=', '::', '//', '<<', '>>', '/=']);
+const isWordChar = (c) => /[A-Za-z0-9_]/.test(c);
+
+function needsSpace(prev, next) {
+  const a = prev.value[prev.value.length - 1];
+  const b = next.value[0];
+  if (isWordChar(a) && isWordChar(b)) return true;
+  if (prev.type === 'number' && b === '.') return true;
+  if (a === '.' && /[0-9]/.test(b)) return true;
+  return GLUE_RISK.has(a + b);
+}
+
+/**
+ * Strips comments and collapses whitespace. Strings and long brackets are copied untouched.
+ * Line breaks are kept (collapsed to one) so that runtime errors still point near the right line.
+ * @param {string} code
+ * @returns {{code: string, lines: number[]}}  lines[i] → source line of output line i + 1
+ */
+function minifyLuaMapped(code) {
+  const tokens = tokenize(String(code));
+  const out = [];
+  const lines = [];
+  let prev = null;
+  let pendingNewline = false;
+
+  for (const t of tokens) {
+    if (t.type === 'newline') { pendingNewline = true; continue; }
+    if (t.type === 'space') continue;
+    if (t.type === 'comment') {
+      // a long comment spanning lines still separates statements
+      if (t.value.includes('\n')) pendingNewline = true;
+      continue;
+    }
+
+    if (prev) {
+      if (pendingNewline) {
+        out.push('\n');
+        lines.push(t.line);
+      } else if (needsSpace(prev, t)) {
+        out.push(' ');
+      }
+    } else {
+      lines.push(t.line);
+    }
+    out.push(t.value);
+    // long strings keep their line breaks
+    const inner = t.value.split('\n').length - 1;
+    for (let k = 1; k <= inner; k++) lines.push(t.line + k);
+    prev = t;
+    pendingNewline = false;
+  }
+
+  return { code: out.join(''), lines };
+}
+
+function minifyLua(code) {
+  return minifyLuaMapped(code).code;
+}
+
+module.exports = {
+  minifyLua,
+  minifyLuaMapped,
+};
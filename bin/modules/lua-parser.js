@@ -0,0 +1,352 @@
+// modules/lua-parser.js
+const { tokenize, significantTokens, LuaLexError } = require('./lua-lexer');
+
+/** ===== Lua 5.2 / MoonSharp syntax checker (recursive descent, no AST) ===== */
+
+class LuaSyntaxError extends Error {
+  constructor(message, token) {
+    super(`${message} at ${token.line}:${token.col}`);
+    this.name = 'LuaSyntaxError';
+    this.reason = message;
+    this.line = token.line;
+    this.col = token.col;
+  }
+}
+
+// [left, right] binding priorities, as in lparser.c
+const BINARY_PRIORITY = {
+  'or': [1, 1], 'and': [2, 2],
+  '<': [3, 3], '>': [3, 3], '<=': [3, 3], '>=': [3, 3], '~=': [3, 3], '!=': [3, 3], '==': [3, 3],
+  '..': [5, 4], '+': [6, 6], '-': [6, 6],
+  '*': [7, 7], '/': [7, 7], '%': [7, 7],
+  '^': [10, 9],
+};
+const UNARY_PRIORITY = 8;
+const BLOCK_END = new Set(['end', 'else', 'elseif', 'until']);
+
+function near(t) {
+  return t.type === 'eof' ? '<eof>' : `'${t.value}'`;
+}
+
+class Parser {
+  constructor(code) {
+    const toks = significantTokens(tokenize(code));
+    const lines = code.split('\n');
+    this.toks = toks;
+    this.eof = { type: 'eof', value: '<eof>', line: lines.length, col: lines[lines.length - 1].length + 1 };
+    this.i = 0;
+    // per function: { vararg, loops }
+    this.fn = [{ vararg: true, loops: 0 }];
+  }
+
+  get t() { return this.toks[this.i] || this.eof; }
+  peek(n = 1) { return this.toks[this.i + n] || this.eof; }
+  is(value, type = null) {
+    const t = this.t;
+    if (type && t.type !== type) return false;
+    return (t.type === 'op' || t.type === 'keyword') && t.value === value;
+  }
+  next() { const t = this.t; this.i++; return t; }
+  accept(value) { if (this.is(value)) { this.i++; return true; } return false; }
+  fail(message, t = this.t) { throw new LuaSyntaxError(`${message} near ${near(t)}`, t); }
+
+  expect(value, opener = null) {
+    if (this.accept(value)) return;
+    const t = this.t;
+    if (opener && opener.line !== t.line) {
+      this.fail(`'${value}' expected (to close '${opener.value}' at line ${opener.line})`);
+    }
+    this.fail(`'${value}' expected`);
+  }
+
+  name() {
+    if (this.t.type !== 'name') this.fail('<name> expected');
+    return this.next();
+  }
+
+  // ----- blocks & statements -----
+
+  chunk() {
+    this.block();
+    if (this.t.type !== 'eof') this.fail(`'<eof>' expected`);
+  }
+
+  block() {
+    for (;;) {
+      const t = this.t;
+      if (t.type === 'eof' || (t.type === 'keyword' && BLOCK_END.has(t.value))) return;
+      if (this.is('return')) { this.retstat(); return; }
+      this.statement();
+    }
+  }
+
+  retstat() {
+    this.next();
+    const t = this.t;
+    const ends = t.type === 'eof' || (t.type === 'keyword' && BLOCK_END.has(t.value)) || this.is(';');
+    if (!ends) this.explist();
+    this.accept(';');
+    const after = this.t;
+    if (!(after.type === 'eof' || (after.type === 'keyword' && BLOCK_END.has(after.value)))) {
+      this.fail(`'<eof>' expected`);
+    }
+  }
+
+  loopBody(opener) {
+    this.fn[this.fn.length - 1].loops++;
+    this.block();
+    this.fn[this.fn.length - 1].loops--;
+    if (opener.value === 'repeat') this.expect('until', opener);
+    else this.expect('end', opener);
+  }
+
+  statement() {
+    const t = this.t;
+    if (t.type === 'op' && t.value === ';') { this.next(); return; }
+    // Lua 5.2 goto / labels: MoonSharp has no goto
+    if (t.type === 'op' && t.value === '::') throw new LuaSyntaxError(`labels are not supported by MoonSharp near '::'`, t);
+    if (t.type === 'keyword') {
+      switch (t.value) {
+        case 'break':
+          this.next();
+          if (this.fn[this.fn.length - 1].loops === 0) throw new LuaSyntaxError(`no loop to break near ${near(this.t)}`, t);
+          return;
+        case 'goto':
+          throw new LuaSyntaxError(`goto is not supported by MoonSharp near 'goto'`, t);
+        case 'do': {
+          this.next(); this.block(); this.expect('end', t);
+          return;
+        }
+        case 'while': {
+          this.next(); this.expr(); this.expect('do');
+          this.loopBody(t);
+          return;
+        }
+        case 'repeat': {
+          this.next();
+          this.loopBody(t);
+          this.expr();
+          return;
+        }
+        case 'if': {
+          this.next(); this.expr(); this.expect('then'); this.block();
+          while (this.is('elseif')) { this.next(); this.expr(); this.expect('then'); this.block(); }
+          if (this.accept('else')) this.block();
+          this.expect('end', t);
+          return;
+        }
+        case 'for': {
+          this.next();
+          this.name();
+          if (this.accept('=')) {
+            this.expr(); this.expect(','); this.expr();
+            if (this.accept(',')) this.expr();
+          } else {
+            while (this.accept(',')) this.name();
+            this.expect('in');
+            this.explist();
+          }
+          this.expect('do');
+          this.loopBody(t);
+          return;
+        }
+        case 'function': {
+          this.next();
+          this.name();
+          while (this.accept('.')) this.name();
+          const isMethod = this.accept(':');
+          if (isMethod) this.name();
+          this.funcbody(t);
+          return;
+        }
+        case 'local': {
+          this.next();
+          if (this.is('function')) {
+            const fnTok = this.next();
+            this.name();
+            this.funcbody(fnTok);
+            return;
+          }
+          this.name();
+          while (this.accept(',')) this.name();
+          if (this.accept('=')) this.explist();
+          return;
+        }
+        default:
+          break;
+      }
+    }
+    this.exprstat();
+  }
+
+  exprstat() {
+    const start = this.t;
+    const kind = this.suffixedexp();
+    if (this.is('=') || this.is(',')) {
+      if (kind === 'call') this.fail('syntax error');
+      while (this.accept(',')) {
+        if (this.suffixedexp() === 'call') this.fail('syntax error');
+      }
+      this.expect('=');
+      this.explist();
+      return;
+    }
+    if (kind !== 'call') throw new LuaSyntaxError(`syntax error near ${near(this.t)}`, this.t.type === 'eof' ? start : this.t);
+  }
+
+  // ----- functions -----
+
+  funcbody(opener) {
+    this.expect('(');
+    let vararg = false;
+    if (!this.is(')')) {
+      do {
+        if (this.is('...')) { this.next(); vararg = true; break; }
+        this.name();
+      } while (this.accept(','));
+    }
+    this.expect(')');
+    this.fn.push({ vararg, loops: 0 });
+    this.block();
+    this.fn.pop();
+    this.expect('end', opener);
+  }
+
+  // ----- expressions -----
+
+  explist() {
+    this.expr();
+    while (this.accept(',')) this.expr();
+  }
+
+  primaryexp() {
+    const t = this.t;
+    if (t.type === 'name') { this.next(); return; }
+    if (this.is('(')) {
+      this.next(); this.expr(); this.expect(')', t);
+      return;
+    }
+    this.fail('unexpected symbol');
+  }
+
+  /** @returns {'call'|'var'|'paren'} kind of the last suffix */
+  suffixedexp() {
+    const first = this.t;
+    this.primaryexp();
+    let kind = first.type === 'name' ? 'var' : 'paren';
+    for (;;) {
+      const t = this.t;
+      if (this.is('.')) { this.next(); this.name(); kind = 'var'; continue; }
+      if (this.is('[')) { this.next(); this.expr(); this.expect(']'); kind = 'var'; continue; }
+      if (this.is(':')) { this.next(); this.name(); this.args(); kind = 'call'; continue; }
+      if (this.is('(') || this.is('{') || t.type === 'string' || t.type === 'longstring') {
+        this.args(); kind = 'call'; continue;
+      }
+      return kind;
+    }
+  }
+
+  args() {
+    const t = this.t;
+    if (t.type === 'string' || t.type === 'longstring') { this.next(); return; }
+    if (this.is('{')) { this.table(); return; }
+    if (!this.is('(')) this.fail('function arguments expected');
+    this.next();
+    if (!this.is(')')) this.explist();
+    this.expect(')', t);
+  }
+
+  table() {
+    const open = this.next();
+    while (!this.is('}')) {
+      if (this.is('[')) {
+        this.next(); this.expr(); this.expect(']'); this.expect('='); this.expr();
+      } else if (this.t.type === 'name' && this.peek().type === 'op' && this.peek().value === '=') {
+        this.next(); this.next(); this.expr();
+      } else {
+        this.expr();
+      }
+      if (!this.accept(',') && !this.accept(';')) break;
+    }
+    this.expect('}', open);
+  }
+
+  simpleexp() {
+    const t = this.t;
+    switch (t.type) {
+      case 'number':
+      case 'string':
+      case 'longstring':
+        this.next();
+        return;
+      case 'keyword':
+        if (t.value === 'nil' || t.value === 'true' || t.value === 'false') { this.next(); return; }
+        if (t.value === 'function') { this.next(); this.funcbody(t); return; }
+        break;
+      case 'op':
+        if (t.value === '...') {
+          if (!this.fn[this.fn.length - 1].vararg) {
+            throw new LuaSyntaxError(`cannot use '...' outside a vararg function near '...'`, t);
+          }
+          this.next();
+          return;
+        }
+        if (t.value === '{') { this.table(); return; }
+        // MoonSharp lambda: |a, b| a + b
+        if (t.value === '|') {
+          this.next();
+          if (!this.is('|')) {
+            this.name();
+            while (this.accept(',')) this.name();
+          }
+          this.expect('|');
+          this.fn.push({ vararg: false, loops: 0 });
+          this.expr();
+          this.fn.pop();
+          return;
+        }
+        break;
+      default:
+        break;
+    }
+    this.suffixedexp();
+  }
+
+  expr(limit = 0) {
+    const t = this.t;
+    if ((t.type === 'keyword' && t.value === 'not') || (t.type === 'op' && (t.value === '-' || t.value === '#'))) {
+      this.next();
+      this.expr(UNARY_PRIORITY);
+    } else {
+      this.simpleexp();
+    }
+    for (;;) {
+      const op = this.t;
+      const prio = (op.type === 'op' || op.type === 'keyword') ? BINARY_PRIORITY[op.value] : null;
+      if (!prio || prio[0] <= limit) return;
+      this.next();
+      this.expr(prio[1]);
+    }
+  }
+}
+
+/**
+ * Parses Lua source and reports the first syntax error (like luac -p).
+ * @param {string} code
+ * @returns {{line: number, col: number, message: string}|null}
+ */
+function checkLuaSyntax(code) {
+  try {
+    new Parser(String(code)).chunk();
+    return null;
+  } catch (e) {
+    if (e instanceof LuaSyntaxError) return { line: e.line, col: e.col, message: e.reason };
+    if (e instanceof LuaLexError) return { line: e.line, col: e.col, message: e.message.replace(/ at \d+:\d+$/, '') };
+    throw e;
+  }
+}
+
+module.exports = {
+  LuaSyntaxError,
+  checkLuaSyntax,
+};
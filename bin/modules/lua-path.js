@@ -0,0 +1,92 @@
+// modules/lua-path.js
+const fs = require('fs');
+const path = require('path');
+
+// Optional project file with the search path list: ["./lib", "./vendor/lua/?.lua", ...] or { "paths": [...] }
+const LUA_PATHS_FILE = 'lua-paths.json';
+const DIR_PATTERNS = ['?.lua', '?.ttslua', '?/init.lua', '?/init.ttslua'];
+
+class LuaPathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LuaPathError';
+  }
+}
+
+/** "util.serpent" / "util\\serpent" / "/util/serpent" → "util/serpent" */
+function normalizeModuleId(id) {
+  const s = String(id).trim().replace(/\\/g, '/');
+  const dotted = !s.includes('/') && !/\.(lua|ttslua)$/i.test(s) ? s.replace(/\./g, '/') : s;
+  return dotted.split('/').filter(Boolean).join('/');
+}
+
+/** A plain directory expands to the default patterns; entries with "?" are kept as-is */
+function expandSearchEntry(entry) {
+  const e = String(entry).trim();
+  if (!e) return [];
+  if (e.includes('?')) return [e];
+  return DIR_PATTERNS.map(p => path.join(e, p));
+}
+
+/** package.path-style string ("a/?.lua;b/?/init.lua;./vendor") → ordered pattern list; ";;" inserts `defaults` */
+function parseLuaPath(value, defaults = []) {
+  return String(value || '')
+    .split(';;')
+    .map(part => part.split(';').flatMap(expandSearchEntry))
+    .reduce((list, patterns, i) => (i ? [...list, ...defaults, ...patterns] : patterns), []);
+}
+
+function readLuaPathsFile(file) {
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    throw new LuaPathError(`Invalid JSON: ${file}`);
+  }
+  const list = Array.isArray(json) ? json : json && json.paths;
+  if (!Array.isArray(list)) {
+    throw new LuaPathError(`${file}: expected an array of search paths or { "paths": [...] }`);
+  }
+  return list.flatMap(expandSearchEntry);
+}
+
+/**
+ * Ordered search patterns: opts.luaPath (config / TTS_LUA_PATH, read by the CLIs) → lua-paths.json → <libDir> defaults.
+ * A ";;" in a luaPath string stands for the lua-paths.json / <libDir> patterns.
+ * @param {{libDir?: string, luaPath?: string|string[]}} opts
+ * @returns {string[]}
+ * @throws {LuaPathError} unreadable lua-paths.json
+ */
+function resolveSearchPaths(opts = {}) {
+  const defaults = () => (fs.existsSync(LUA_PATHS_FILE)
+    ? readLuaPathsFile(LUA_PATHS_FILE)
+    : expandSearchEntry(opts.libDir || './lib'));
+  if (Array.isArray(opts.luaPath)) return opts.luaPath.flatMap(expandSearchEntry);
+  if (typeof opts.luaPath === 'string' && opts.luaPath.trim()) {
+    return parseLuaPath(opts.luaPath, opts.luaPath.includes(';;') ? defaults() : []);
+  }
+  return defaults();
+}
+
+/**
+ * @returns {{file: string|null, tried: string[]}}
+ */
+function findModuleFile(id, searchPaths) {
+  const rel = normalizeModuleId(id);
+  const tried = [];
+  for (const pattern of searchPaths) {
+    const file = path.normalize(pattern.split('?').join(rel));
+    tried.push(file);
+    if (fs.existsSync(file) && fs.statSync(file).isFile()) return { file, tried };
+  }
+  return { file: null, tried };
+}
+
+module.exports = {
+  LUA_PATHS_FILE,
+  LuaPathError,
+  normalizeModuleId,
+  parseLuaPath,
+  resolveSearchPaths,
+  findModuleFile,
+};
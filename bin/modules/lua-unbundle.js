@@ -0,0 +1,271 @@
+// modules/lua-unbundle.js
+const fs = require('fs');
+const path = require('path');
+const { tokenize, significantTokens, stringValue } = require('./lua-lexer');
+const { normalizeModuleId } = require('./lua-path');
+
+const SHARED_PARAMS_RE = /^local require, _LOADED, __bundle_register, __bundle_modules = \.\.\. ?/;
+const ALIAS_BODY_RE = /^\s*return\s+require\s*\(\s*["'][^"']+["']\s*\)\s*$/;
+
+// Keywords that open a block closed by `end` (while/for open theirs with `do`)
+const BLOCK_OPEN = new Set(['function', 'do', 'if']);
+
+/** Index of the token that closes the block opened right before `from` (depth 1) */
+function findBlockEnd(toks, from) {
+  let depth = 1;
+  for (let i = from; i < toks.length; i++) {
+    const t = toks[i];
+    if (t.type !== 'keyword') continue;
+    if (BLOCK_OPEN.has(t.value) || t.value === 'repeat') depth++;
+    else if (t.value === 'end' || t.value === 'until') depth--;
+    if (depth === 0) return i;
+  }
+  return -1;
+}
+
+// the bundler wraps bodies in "\n…\n"
+const unwrapBody = (s) => s.replace(/^\r?\n/, '').replace(/\r?\n$/, '');
+
+/**
+ * Modules of a luabundle-format script: every __bundle_register("<id>", function(...) … end)
+ * plus the sources of a Global-hosted shared table (`__shared_lua_modules = { ["id"] = [[…]] }`).
+ * Alias and shim registrations are skipped. Returns null when the script is not a bundle.
+ * @param {string} lua
+ * @returns {{root: string|null, modules: Object<string, string>}|null}
+ */
+function parseLuaBundle(lua) {
+  const src = String(lua || '');
+  if (!src.includes('__bundle_register')) return null;
+
+  let toks;
+  try {
+    toks = significantTokens(tokenize(src));
+  } catch {
+    return null;
+  }
+
+  const result = { root: null, modules: {} };
+  let found = false;
+
+  for (let i = 0; i < toks.length; i++) {
+    const t = toks[i];
+
+    // __bundle_register("<id>", function(<params>) <body> end)
+    if (t.type === 'name' && t.value === '__bundle_register'
+      && toks[i + 1] && toks[i + 1].value === '('
+      && toks[i + 2] && (toks[i + 2].type === 'string' || toks[i + 2].type === 'longstring')
+      && toks[i + 3] && toks[i + 3].value === ','
+      && toks[i + 4] && toks[i + 4].type === 'keyword' && toks[i + 4].value === 'function') {
+      const id = stringValue(toks[i + 2]);
+      let j = i + 5;
+      while (j < toks.length && toks[j].value !== ')') j++;
+      const bodyStart = toks[j] ? toks[j].end : src.length;
+      const endIdx = findBlockEnd(toks, j + 1);
+      if (endIdx === -1) break;
+
+      const body = unwrapBody(src.slice(bodyStart, toks[endIdx].start));
+      found = true;
+      if (id === '__root') result.root = body;
+      else if (!ALIAS_BODY_RE.test(body)) result.modules[id] = body;
+      i = endIdx;
+      continue;
+    }
+
+    // __shared_lua_modules = { ["<id>"] = [[<source>]], ... }
+    if (t.type === 'name' && t.value === '__shared_lua_modules'
+      && toks[i + 1] && toks[i + 1].value === '=' && toks[i + 2] && toks[i + 2].value === '{') {
+      let j = i + 3;
+      while (j < toks.length && toks[j].value !== '}') {
+        if (toks[j].value === '[' && toks[j + 1] && toks[j + 1].type === 'string'
+          && toks[j + 2] && toks[j + 2].value === ']' && toks[j + 3] && toks[j + 3].value === '='
+          && toks[j + 4] && toks[j + 4].type === 'longstring') {
+          const id = stringValue(toks[j + 1]);
+          if (!(id in result.modules)) result.modules[id] = stringValue(toks[j + 4]).replace(SHARED_PARAMS_RE, '');
+          found = true;
+          j += 5;
+        } else {
+          j++;
+        }
+      }
+      i = j;
+    }
+  }
+
+  return found ? result : null;
+}
+
+/**
+ * Extract ONLY the body of the bundled __root module.
+ * Handles bundles like:
+ *   __bundle_register("__root", function(...) ... end)
+ *   package.preload["__root"] = function(...) ... end
+ * Supports both LF and CRLF, and the tail "return __bundle_require('__root')".
+ * If no bundle is found, returns original lua unchanged.
+ */
+function extractRootModule(lua) {
+  if (!lua) return lua;
+  const s = String(lua);
+
+  // 1) luabundle-style: __bundle_register("__root", function(...) ... end)
+  // Stop right before the matching 'end)' of that function.
+  // Allow what follows to be: another register, package.preload, 'return __bundle_require("__root")', or EOF.
+  const reRegister =
+    /__bundle_register\(\s*["']__root["']\s*,\s*function\s*\([^)]*\)\s*([\s\S]*?)\bend\)\s*(?=__bundle_register|package\.preload|return\s+__bundle_require|\s*$)/i;
+  const m1 = s.match(reRegister);
+  if (m1 && m1[1]) {
+    return tidyLua(m1[1]);
+  }
+
+  // 2) preload-style: package.preload["__root"] = function(...) ... end
+  const rePreload =
+    /package\.preload\[\s*["']__root["']\s*\]\s*=\s*function\s*\([^)]*\)\s*([\s\S]*?)\bend\b/;
+  const m2 = s.match(rePreload);
+  if (m2 && m2[1]) {
+    return tidyLua(m2[1]);
+  }
+
+  // Fallback: leave as-is
+  return s;
+}
+
+// collapse excessive blank lines, trim
+function tidyLua(s) {
+  return String(s)
+    .replace(/\r\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\s+/, '')
+    .trimEnd();
+}
+
+/** ===== Library re-extraction ===== */
+
+/** Line-level diff summary via LCS: lines only in a (removed), only in b (added), first differing line */
+function lineDiffSummary(a, b) {
+  const la = String(a).replace(/\r\n/g, '\n').split('\n');
+  const lb = String(b).replace(/\r\n/g, '\n').split('\n');
+  const n = la.length;
+  const m = lb.length;
+  let firstLine = null;
+  for (let i = 0; i < Math.max(n, m); i++) {
+    if (la[i] !== lb[i]) { firstLine = i + 1; break; }
+  }
+
+  // LCS length with two rows
+  let prev = new Array(m + 1).fill(0);
+  for (let i = 1; i <= n; i++) {
+    const cur = new Array(m + 1).fill(0);
+    for (let j = 1; j <= m; j++) {
+      cur[j] = la[i - 1] === lb[j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], cur[j - 1]);
+    }
+    prev = cur;
+  }
+  const common = prev[m];
+  return { removed: n - common, added: m - common, firstLine };
+}
+
+const formatDiffSummary = (d) =>
+  `+${d.added} -${d.removed} lines${d.firstLine ? `, first difference at line ${d.firstLine}` : ''}`;
+
+/**
+ * Collects modules embedded in luabundle scripts across a save.
+ * versions: id → [{ code, users: [who, ...] }]
+ */
+function createModuleCollector() {
+  const versions = new Map();
+
+  return {
+    /** Adds every embedded module of `lua` (no-op for plain scripts) */
+    add(lua, who) {
+      const bundle = parseLuaBundle(lua);
+      if (!bundle) return 0;
+      const ids = Object.keys(bundle.modules);
+      for (const id of ids) this.addModule(id, bundle.modules[id], who);
+      return ids.length;
+    },
+    /** Adds one module source used by `who` */
+    addModule(id, code, who) {
+      if (!versions.has(id)) versions.set(id, []);
+      const list = versions.get(id);
+      const same = list.find(v => v.code === code);
+      if (same) same.users.push(who);
+      else list.push({ code, users: [who] });
+    },
+    versions,
+  };
+}
+
+/**
+ * Writes collected modules as <libDir>/<id>.lua (opts.exts / opts.toPath change the file naming, e.g. for XML fragments). Existing files are never overwritten:
+ * identical ones are skipped, different ones are reported. When objects embed different versions
+ * of one module, the version used by the most scripts is written and the others are reported.
+ * @returns {{written: string[], unchanged: string[], conflicts: {id: string, kind: 'versions'|'lib', file: string, details: string[]}[]}}
+ */
+function writeLibModules(libDir, collector, { exts = ['.lua', '.ttslua'], toPath = normalizeModuleId } = {}) {
+  const report = { written: [], unchanged: [], conflicts: [] };
+
+  for (const [id, list] of [...collector.versions.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    const sorted = [...list].sort((a, b) => b.users.length - a.users.length);
+    const chosen = sorted[0];
+    const rel = toPath(id);
+    const existing = exts.map(ext => path.join(libDir, rel + ext)).find(f => fs.existsSync(f));
+    const file = existing || path.join(libDir, rel + exts[0]);
+
+    if (sorted.length > 1) {
+      report.conflicts.push({
+        id,
+        kind: 'versions',
+        file,
+        details: sorted.map((v, i) => {
+          const who = `${v.users.slice(0, 3).join(', ')}${v.users.length > 3 ? ` +${v.users.length - 3} more` : ''}`;
+          return i === 0
+            ? `v1 (most used, ${v.users.length} script(s): ${who})`
+            : `v${i + 1} (${v.users.length} script(s): ${who}) vs v1: ${formatDiffSummary(lineDiffSummary(chosen.code, v.code))}`;
+        }),
+      });
+    }
+
+    if (existing) {
+      const current = fs.readFileSync(existing, 'utf-8');
+      if (current === chosen.code) {
+        report.unchanged.push(existing);
+      } else {
+        report.conflicts.push({
+          id,
+          kind: 'lib',
+          file: existing,
+          details: [`save version vs ${existing}: ${formatDiffSummary(lineDiffSummary(current, chosen.code))} (file kept)`],
+        });
+      }
+      continue;
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, chosen.code, 'utf-8');
+    report.written.push(file);
+  }
+
+  return report;
+}
+
+function printLibReport(libDir, report, label = 'Lua modules', logger = console) {
+  const total = report.written.length + report.unchanged.length;
+  if (total === 0 && report.conflicts.length === 0) return;
+  logger.log(`📚 ${label} re-extracted to ${libDir}: ${report.written.length} written, ${report.unchanged.length} already up to date`);
+  report.written.forEach(f => logger.log(`  + ${f}`));
+  if (report.conflicts.length) {
+    logger.warn(`⚠️  ${report.conflicts.length} module conflict(s):`);
+    for (const c of report.conflicts) {
+      logger.warn(`  • "${c.id}" → ${c.file}${c.kind === 'versions' ? ' (different versions embedded)' : ' (differs from lib)'}`);
+      c.details.forEach(d => logger.warn(`      ${d}`));
+    }
+  }
+}
+
+module.exports = {
+  extractRootModule,
+  parseLuaBundle,
+  lineDiffSummary,
+  createModuleCollector,
+  writeLibModules,
+  printLibReport,
+};
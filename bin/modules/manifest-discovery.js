@@ -0,0 +1,211 @@
+// modules/manifest-discovery.js
+const fs = require('fs');
+const path = require('path');
+const { DECK_EXT, CARDS_JSON_EXT } = require('./deck-table');
+
+/** ===== manifest.json from the src/ layout (the folders and names split writes) ===== */
+
+// Nested relationship kinds → folder where the related objects are written: <Dir>/<Nickname>_<GUID>/NNN_….json
+const RELATION_DIRS = {
+  contained: 'Contained',
+  state: 'States',
+  child: 'Children',
+};
+
+// Longest name part of a src/ file or folder (config: naming.maxLength)
+const NAME_MAX_LENGTH = 50;
+
+// Unicode-safe sanitize: keep letters, numbers, _ - . ; replace others with _
+const sanitize = (str, maxLength = NAME_MAX_LENGTH) => (str || 'unnamed')
+  .replace(/[^\p{L}\p{N}_\-.]/gu, '_')
+  .slice(0, maxLength);
+
+/** Folder name of an object's children (inside a RELATION_DIRS folder) */
+const parentKey = (nickname, guid, maxLength = NAME_MAX_LENGTH) =>
+  `${sanitize(nickname, maxLength)}_${sanitize(guid || 'noguid', maxLength)}`;
+
+// JSON files in src/ that are not objects
+const ROOT_FILES = new Set(['base.json', 'manifest.json']);
+const NOT_OBJECTS = [DECK_EXT, CARDS_JSON_EXT, '.map.json'];
+
+const toPosix = (p) => p.split(path.sep).join('/');
+
+/** NNN_ prefix → 0-based order, null without one */
+function orderFromName(file) {
+  const m = /^(\d{3,})_/.exec(path.basename(file));
+  return m ? parseInt(m[1], 10) - 1 : null;
+}
+
+/** Name part of a state file that keeps its key in the parent's States map: NNN_state-<key>_… */
+const stateKeyPart = (key, maxLength = NAME_MAX_LENGTH) => `state-${sanitize(String(key), maxLength)}_`;
+
+/** NNN_state-<key>_… → "<key>", null without one */
+function stateKeyFromName(file) {
+  const m = /^\d{3,}_state-([^_]+)_/.exec(path.basename(file));
+  return m ? m[1] : null;
+}
+
+/** Object JSON files below srcDir (posix paths relative to it), sorted */
+function listObjectFiles(srcDir) {
+  const out = [];
+  const walk = (dir) => {
+    for (const name of fs.readdirSync(path.join(srcDir, dir)).sort()) {
+      const rel = dir ? `${dir}/${name}` : name;
+      if (fs.statSync(path.join(srcDir, rel)).isDirectory()) {
+        if (rel !== 'Global') walk(rel);
+        continue;
+      }
+      const lower = name.toLowerCase();
+      if (!lower.endsWith('.json') || NOT_OBJECTS.some(ext => lower.endsWith(ext))) continue;
+      if (!dir && ROOT_FILES.has(name)) continue;
+      out.push(rel);
+    }
+  };
+  walk('');
+  return out;
+}
+
+/**
+ * Reconciles manifest entries with the object files found in src/.
+ *   kept    → entries whose file exists (their parent/order/relation/stateKey are kept; guid/type/nickname follow the file)
+ *   removed → entries whose file is gone (and entries under a removed parent)
+ *   added   → files without an entry: parent from the <Dir>/<Nickname>_<GUID> folder, relation from <Dir>, order from NNN_
+ *   skipped → files that cannot be placed ({ file, reason })
+ *   errors  → state files without an entry whose States key is not in the name (NNN_state-<key>_…) or is taken
+ *             ({ file, reason }); they are left out, and the manifest must not be used as is
+ * @param {string} srcDir
+ * @param {object[]} [manifest]  current manifest.json entries ([] → build from scratch)
+ * @param {{maxLength?: number, previous?: object[]}} [opts]  maxLength → name length used by split (naming.maxLength);
+ *   previous → entries of an older manifest whose keyPositions are given to added entries of the same file (--fresh)
+ * @returns {{manifest: object[], added: object[], removed: object[], updated: object[],
+ *            skipped: {file: string, reason: string}[], errors: {file: string, reason: string}[]}}
+ */
+function discoverManifest(srcDir, manifest = [], { maxLength = NAME_MAX_LENGTH, previous = [] } = {}) {
+  const report = { manifest: [], added: [], removed: [], updated: [], skipped: [], errors: [] };
+  const files = listObjectFiles(srcDir);
+  const onDisk = new Set(files);
+  const relationOfDir = new Map(Object.entries(RELATION_DIRS).map(([k, v]) => [v, k]));
+
+  const readObject = (file) => {
+    try {
+      const json = JSON.parse(fs.readFileSync(path.join(srcDir, file), 'utf-8'));
+      return json && typeof json === 'object' && !Array.isArray(json) && json.Name ? json : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // 1) Existing entries: keep those whose file is still there
+  const kept = [];
+  for (const entry of manifest) {
+    const file = toPosix(path.normalize(entry.file));
+    const obj = onDisk.has(file) ? readObject(file) : null;
+    if (!obj) { report.removed.push(entry); continue; }
+    const next = { ...entry, type: obj.Name || 'Object', nickname: obj.Nickname || null, guid: obj.GUID || null };
+    if (next.type !== entry.type || next.nickname !== entry.nickname || next.guid !== entry.guid) {
+      report.updated.push({ ...next, from: entry });
+    }
+    kept.push(next);
+  }
+  const known = new Set(kept.map(e => toPosix(path.normalize(e.file))));
+
+  // Folders already used by children of a known parent (incremental split may keep older folder names)
+  const dirParents = new Map();
+  for (const e of kept) if (e.parent) dirParents.set(`${toPosix(path.dirname(e.file))}|${e.relation || 'contained'}`, e.parent);
+
+  // 2) Files without an entry; repeated while new parents turn up (a bag added together with its contents)
+  const all = [...kept];
+  let pending = [];
+  for (const file of files.filter(f => !known.has(f))) {
+    const obj = readObject(file);
+    if (obj) pending.push({ file, obj });
+    else report.skipped.push({ file, reason: 'not a TTS object (invalid JSON or no "Name")' });
+  }
+
+  const place = ({ file, obj }) => {
+    const parts = file.split('/');
+    if (parts.length === 1) return { parent: null, relation: null };
+    if (parts.length !== 3 || !relationOfDir.has(parts[0])) {
+      return { reason: `unknown location (top level, or ${Object.values(RELATION_DIRS).join('|')}/<Nickname>_<GUID>/)` };
+    }
+    const relation = relationOfDir.get(parts[0]);
+    const byKey = all.filter(e => e.guid && parentKey(e.nickname, e.guid, maxLength) === parts[1]);
+    const suffix = /_([^_]+)$/.exec(parts[1]);
+    const byGuid = suffix ? all.filter(e => e.guid && sanitize(e.guid, maxLength) === suffix[1]) : [];
+    const parent = dirParents.get(`${parts[0]}/${parts[1]}|${relation}`)
+      || (byKey.length === 1 ? byKey[0].guid : null)
+      || (byGuid.length === 1 ? byGuid[0].guid : null);
+    return parent && parent !== obj.GUID
+      ? { parent, relation }
+      : { reason: `no object matches the folder ${parts[1]} (<Nickname>_<GUID>)` };
+  };
+
+  // Where split took LuaScript, States, … out of the object: only an older manifest knows
+  const keyPositionsOf = new Map(previous.filter(e => e && e.file && e.keyPositions)
+    .map(e => [toPosix(path.normalize(e.file)), e.keyPositions]));
+
+  for (let progress = true; progress && pending.length;) {
+    progress = false;
+    const next = [];
+    for (const item of pending) {
+      const { parent, relation, reason } = place(item);
+      if (reason) { next.push({ ...item, reason }); continue; }
+
+      let stateKey = null;
+      if (relation === 'state') {
+        stateKey = stateKeyFromName(item.file);
+        const taken = all.some(e => e.parent === parent && e.relation === 'state' && String(e.stateKey) === stateKey);
+        if (stateKey == null || taken) {
+          report.errors.push({
+            file: item.file,
+            reason: stateKey == null
+              ? 'state key not in the file name (NNN_state-<key>_<Name>_<GUID>.json)'
+              : `state key ${stateKey} is already used by another state of ${parent}`,
+          });
+          progress = true;
+          continue;
+        }
+      }
+      const entry = {
+        type: item.obj.Name || 'Object',
+        nickname: item.obj.Nickname || null,
+        guid: item.obj.GUID || null,
+        file: item.file,
+        parent,
+        order: orderFromName(item.file),
+        relation,
+        stateKey,
+        ...(keyPositionsOf.has(item.file) ? { keyPositions: keyPositionsOf.get(item.file) } : {}),
+      };
+      all.push(entry);
+      report.added.push(entry);
+      progress = true;
+    }
+    pending = next;
+  }
+  pending.forEach(({ file, reason }) => report.skipped.push({ file, reason }));
+
+  // 3) Drop entries whose parent no longer exists, down the whole branch
+  let list = all;
+  for (let dropped = true; dropped;) {
+    const guids = new Set(list.map(e => e.guid).filter(Boolean));
+    const next = list.filter(e => !e.parent || guids.has(e.parent));
+    list.filter(e => !next.includes(e)).forEach(e => report.removed.push(e));
+    dropped = next.length !== list.length;
+    list = next;
+  }
+  report.manifest = list;
+  report.added = report.added.filter(e => list.includes(e));
+  return report;
+}
+
+module.exports = {
+  NAME_MAX_LENGTH,
+  RELATION_DIRS,
+  sanitize,
+  parentKey,
+  stateKeyPart,
+  stateKeyFromName,
+  listObjectFiles,
+  discoverManifest,
+};
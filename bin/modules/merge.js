@@ -0,0 +1,822 @@
+// modules/merge.js
+const fs = require('fs');
+const path = require('path');
+const { bundleXML, XmlIncludeError } = require('./xml-bundler');
+const { bundleLuaIfNeeded, listModules, sharedModuleSaving, LuaBundleError, SHARED_TABLE } = require('./lua-bandler');
+const { resolveSearchPaths, LuaPathError } = require('./lua-path');
+const { checkLuaSyntax } = require('./lua-parser');
+const { createXmlValidator } = require('./xml-validator');
+const { createUiLint } = require('./ui-lint');
+const { mapAssetFields, createAssetResolver, writeAssetHashes } = require('./local-assets');
+const { DECK_EXT, DeckTableError, fromDeckForm, readCardTable } = require('./deck-table');
+const { checkTreeGuids } = require('./guid-tools');
+const { NAME_MAX_LENGTH, discoverManifest } = require('./manifest-discovery');
+
+// With --shared-lua, modules required by at least this many scripts are hosted by Global when that saves bytes
+const SHARED_MIN_USERS = 2;
+
+/**
+ * A problem that stops the build. `code` tells what kind (INVALID_JSON, MISSING_MANIFEST, MISSING_FILE,
+ * GUID_MISMATCH, MANIFEST, DECK_TABLE, LUA_PATH, LUA_BUNDLE, LUA_SYNTAX, XML_INCLUDE, XML_UI, ASSETS,
+ * VALIDATION, WARNINGS, NO_VERSION); `details` are the individual issues (one per line).
+ */
+class MergeError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'MergeError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Default logger of the API: builds are quiet, everything is in the result
+const silentLogger = { log: () => {}, warn: () => {} };
+
+/** Unicode-safe, cross-platform file-name sanitizer */
+function sanitizeFileNameStrict(input, fallback = 'TTS_Save', maxLength = NAME_MAX_LENGTH) {
+  let s = String(input ?? '')
+    .normalize('NFC')
+    .replace(/[\u0000-\u001F\u007F]/g, '')
+    .replace(/\s+/g, '_')
+    .replace(/[^\p{L}\p{N}_\-.]/gu, '_');
+
+  s = s.replace(/_+/g, '_').replace(/\.{2,}/g, '.');
+  s = s.replace(/^[\s._]+/, '').replace(/[\s._]+$/, '');
+  if (!s || s === '.' || s === '..') s = fallback;
+
+  const reserved = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+  if (reserved.test(s)) s = '_' + s;
+
+  if (s.length > maxLength) s = s.slice(0, maxLength);
+  if (!s) s = fallback;
+  return s;
+}
+
+const getTimestamp = () =>
+  new Date().toISOString().replace(/[:]/g, '-').split('.')[0];
+
+function readJSON(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    throw new MergeError('INVALID_JSON', `Invalid JSON: ${filePath}`);
+  }
+}
+
+const readIfExists = (file) => {
+  try {
+    return fs.readFileSync(file, 'utf-8');
+  } catch {
+    return null;
+  }
+};
+
+// Source files (absolute path → content) a cached script / UI was built from; stale once any of them differs
+const depsUnchanged = (deps) => [...deps].every(([file, content]) => readIfExists(file) === content);
+
+function getOrderFromFile(entry) {
+  // try explicit numeric .order from manifest first
+  if (typeof entry.order === 'number' && Number.isFinite(entry.order)) {
+    return entry.order; // already 0-based
+  }
+
+  // else parse from filename prefix: 001_Foo_xxx.json -> 0, 002_... -> 1, ...
+  try {
+    const base = path.basename(entry.file);
+    const m = /^(\d{3,})_/.exec(base);
+    if (m) {
+      const n = parseInt(m[1], 10);
+      if (Number.isFinite(n)) return n - 1; // make 0-based
+    }
+  } catch (_) {}
+
+  // fallback: put to the end preserving relative order
+  return Number.POSITIVE_INFINITY;
+}
+
+/** Stable sort by effective order (manifest .order or filename prefix); keeps insertion order for ties */
+function sortByOrderStable(arr) {
+  return arr
+    .map((v, idx) => ({ v, idx, key: getOrderFromFile(v) }))
+    .sort((a, b) => (a.key - b.key) || (a.idx - b.idx))
+    .map(o => o.v);
+}
+
+/** Moves the keys split kept outside the object JSON (manifest .keyPositions: key → index) back to their index */
+function restoreKeyPositions(obj, keyPositions) {
+  const placed = Object.entries(keyPositions)
+    .filter(([key]) => key in obj)
+    .sort((a, b) => a[1] - b[1]);
+  const keys = Object.keys(obj).filter(key => !(key in keyPositions));
+  for (const [key, index] of placed) keys.splice(Math.min(index, keys.length), 0, key);
+  return Object.fromEntries(keys.map(key => [key, obj[key]]));
+}
+
+function findObjectLuaPath(jsonPath) {
+  const base = jsonPath.replace(/\.json$/i, '');
+  const candidates = [`${base}.lua`, `${base}.ttslua`];
+  return candidates.find(p => fs.existsSync(p)) || null;
+}
+
+// <build>/<Save_vX>.json → <build>/<Save_vX>.maps/
+const mapsDirFor = (saveFile) => saveFile.replace(/\.json$/i, '.maps');
+
+/**
+ * Merge of src/ into a save. `build()` can run many times (watch): Lua bundles and UI files are reused
+ * while every source they were built from (script, required modules, included UI fragments) is unchanged.
+ * @param {{srcDir?: string, buildDir?: string, archiveDir?: string, version: string, libDir?: string,
+ *          luaPath?: string|string[], uiDir?: string, assetsDir?: string, assetBaseUrl?: string|null,
+ *          localAssets?: boolean, debug?: boolean, release?: boolean, sharedLua?: boolean, discover?: boolean,
+ *          allowLuaErrors?: boolean, allowXmlErrors?: boolean, failOnWarnings?: boolean, ci?: boolean, dev?: boolean,
+ *          archive?: boolean, archiveKeep?: number|null, nameMaxLength?: number, saveFile?: string, write?: boolean,
+ *          logger?: {log: function, warn: function}}} options
+ *   dev → readable, overwritten build (default: version is "vDEV"); archive / archiveKeep → move earlier builds
+ *   of the same GameMode to archiveDir, keeping the newest archiveKeep per save name (null = all);
+ *   saveFile → output name, "{name}" = SaveName / GameMode (at most nameMaxLength), "{version}" = version without "v";
+ *   failOnWarnings → any warning fails the build (MergeError "WARNINGS");
+ *   write → false keeps everything in memory (no save, maps, archive or asset hashes written);
+ *   logger → progress and warnings as the CLI prints them (default: silent, e.g. `console` to print)
+ * @throws {MergeError}
+ */
+function createMerge(options) {
+  const {
+    srcDir = './src',
+    buildDir = './build',
+    archiveDir = './archive',
+    version,
+    libDir = './lib',
+    uiDir = './ui',
+    assetsDir = './assets',
+    assetBaseUrl = null,
+    localAssets = false,
+    debug = false,
+    sharedLua = false,
+    discover = false,
+    allowLuaErrors = false,
+    allowXmlErrors = false,
+    failOnWarnings = false,
+    ci = false,
+    archive = true,
+    archiveKeep = null,
+    nameMaxLength = NAME_MAX_LENGTH,
+    saveFile = '{name}_v{version}.json',
+    write = true,
+    logger = silentLogger,
+  } = options;
+  if (!version) throw new MergeError('NO_VERSION', 'Please provide --version (e.g. --version v0.5.0)');
+
+  const manifestPath = path.join(srcDir, 'manifest.json');
+  let luaSearchPaths;
+  try {
+    luaSearchPaths = resolveSearchPaths({ libDir, luaPath: options.luaPath });
+  } catch (err) {
+    if (!(err instanceof LuaPathError)) throw err;
+    throw new MergeError('LUA_PATH', err.message);
+  }
+
+  // Release mode: minified Lua (never for dev builds, e.g. vDEV, which stay readable)
+  const isDevVersion = options.dev ?? /^v?dev$/i.test(String(version).trim());
+  const releaseMode = !!options.release && !isDevVersion;
+
+  // Minified and shared builds depend on the whole project → bundled from scratch every time
+  const incremental = !releaseMode && !sharedLua;
+  const luaCache = new Map();    // script file → { raw, deps, script, map, sources, warnings }
+  const xmlCache = new Map();    // UI file → { deps, summary, issues, files, xml }
+  const syntaxCache = new Map(); // source file → { code, err }
+
+  /**
+   * @returns {{save: object, outputFile: string|null, luaMaps: object, warnings: object[], objects: number,
+   *            rebuilt: string[], reused: string[], ms: number}}
+   *   rebuilt / reused → scripts and UIs (by object) bundled by this build / taken over from the previous one
+   * @throws {MergeError}
+   */
+  function build() {
+    const started = Date.now();
+
+    // Everything that did not stop the build: { kind, message, file?, line?, col? }
+    // kind: lua-bundle | lua-syntax | xml-ui | ui-lint | validation | discovery
+    const warnings = [];
+
+    const minifyStats = { before: 0, after: 0 };
+    const sharedStats = { avoided: 0, added: 0 };
+    const luaWarning = (message) => {
+      warnings.push({ kind: 'lua-bundle', message });
+      logger.warn(`⚠️  ${message}`);
+    };
+    // Code the lexer cannot read is reported by the syntax check (onSource), against its file, like parser errors
+    const luaOpts = {
+      luaPath: luaSearchPaths, debug, minify: releaseMode, stats: minifyStats, onWarning: luaWarning, onLexError: () => {}, logger,
+    };
+    const assetResolver = createAssetResolver({ assetsDir, baseUrl: assetBaseUrl, local: localAssets });
+
+    // GUIDs of manifest objects and deck cards (cards without a GUID in their table get a stable generated one)
+    const usedGuids = new Set();
+
+    // Lua syntax check of every script and module, reported against the source file
+    const luaErrors = [];
+    const checkedLuaFiles = new Set();
+    // Line maps of bundled scripts (key: object GUID or Global), written next to the save
+    const luaMaps = {};
+
+    // XML UI check against the TTS UI schema (Global UI.xml with its includes, object .xml files)
+    const xmlIssues = [];
+    const xmlFiles = new Set();
+    // Cross-check of XML event handlers ↔ Lua functions and Lua UI id references ↔ XML ids (warnings only)
+    const uiLint = createUiLint();
+
+    // Script / UI owners bundled by this build and the ones taken from the previous build
+    const rebuilt = new Set();
+    const reused = new Set();
+
+    const checkSyntax = (code, file) => {
+      if (checkedLuaFiles.has(file)) return;
+      checkedLuaFiles.add(file);
+      const known = syntaxCache.get(file);
+      const err = known && known.code === code ? known.err : checkLuaSyntax(code);
+      syntaxCache.set(file, { code, err });
+      if (err) luaErrors.push({ file, ...err });
+    };
+    // onSource for one script owner ('Global' or an object GUID): syntax check + UI cross-check
+    const addSource = (owner, code, file) => {
+      checkSyntax(code, file);
+      uiLint.addLua(owner, code, file);
+    };
+
+    /** Bundled script of `file` (reused when it and its modules are unchanged); a bundling problem stops the build */
+    function bundleLua(rawCode, who, owner, label, opts) {
+      const file = opts.sourceFile;
+      const cached = incremental && file ? luaCache.get(file) : null;
+      if (cached && cached.raw === rawCode && depsUnchanged(cached.deps)) {
+        cached.sources.forEach(s => addSource(owner, s.code, s.file));
+        cached.warnings.forEach(luaWarning);
+        if (cached.map) opts.onMap(cached.map);
+        reused.add(label);
+        return cached.script;
+      }
+
+      const sources = [];
+      const bundleWarnings = [];
+      let map = null;
+      let script;
+      try {
+        script = bundleLuaIfNeeded(rawCode, who, {
+          ...opts,
+          onSource: (code, src) => { sources.push({ code, file: src }); addSource(owner, code, src); },
+          onMap: (m) => { map = m; opts.onMap(m); },
+          onWarning: (message) => { bundleWarnings.push(message); luaWarning(message); },
+        });
+      } catch (err) {
+        if (!(err instanceof LuaBundleError)) throw err;
+        throw new MergeError('LUA_BUNDLE', `Lua bundle error: ${err.message}`);
+      }
+      if (incremental && file) {
+        const deps = new Map(sources.map(s => [path.resolve(s.file), s.code]));
+        luaCache.set(file, { raw: rawCode, deps, script, map, sources, warnings: bundleWarnings, owner: label });
+      }
+      rebuilt.add(label);
+      return script;
+    }
+
+    /** Validated and bundled UI file (reused when it and its includes are unchanged) */
+    function bundleXmlFile(file, roots, owner, label) {
+      let entry = incremental ? xmlCache.get(file) : null;
+      if (entry && depsUnchanged(entry.deps)) {
+        reused.add(label);
+      } else {
+        const validator = createXmlValidator();
+        const summary = validator.validate(file, { includeDirs: roots });
+        const deps = new Map([...validator.files].map(f => [path.resolve(f), readIfExists(f)]));
+        entry = { deps, summary, issues: validator.issues, files: validator.files, xml: null, owner: label };
+        const rawXml = fs.readFileSync(file, 'utf-8');
+        if (/<Include\b/.test(rawXml)) {
+          try {
+            entry.xml = bundleXML(rawXml, { file, roots });
+          } catch (err) {
+            if (!(err instanceof XmlIncludeError)) throw err;
+            throw new MergeError('XML_INCLUDE', `XML include error: ${err.message}`);
+          }
+        } else {
+          entry.xml = rawXml;
+        }
+        if (incremental) xmlCache.set(file, entry);
+        rebuilt.add(label);
+      }
+      xmlIssues.push(...entry.issues);
+      entry.files.forEach(f => xmlFiles.add(f));
+      uiLint.addXml(owner, entry.summary);
+      return entry.xml;
+    }
+
+    // Validate presence and (optional) GUID match
+    function fileExistsStrict(entry) {
+      const fullPath = path.join(srcDir, entry.file);
+      if (!fs.existsSync(fullPath)) {
+        throw new MergeError('MISSING_FILE', `Missing file for entry: ${entry.type} "${entry.nickname}" (${entry.guid})`, [`Expected path: ${fullPath}`]);
+      }
+      const json = readJSON(fullPath);
+      if (entry.guid && json.GUID && entry.guid !== json.GUID) {
+        throw new MergeError('GUID_MISMATCH', `GUID mismatch: manifest(${entry.guid}) != file(${json.GUID}) at ${entry.file}`);
+      }
+    }
+
+    /** Deck in table form (<base>.deck.json + <base>.cards.csv|json) → DeckIDs, CustomDeck and ContainedObjects */
+    function expandDeckTable(obj, jsonPath, entry, manifestMap) {
+      const basePath = jsonPath.replace(/\.json$/i, '');
+      const deckPath = basePath + DECK_EXT;
+      if (!fs.existsSync(deckPath)) return obj;
+
+      const contained = (manifestMap[entry.guid] || []).filter(c => (c.relation || 'contained') === 'contained');
+      if (contained.length) {
+        throw new MergeError('DECK_TABLE', `${deckPath}: deck has both a card table and ${contained.length} contained object file(s); keep one of them`);
+      }
+      try {
+        const { file, rows } = readCardTable(basePath);
+        return fromDeckForm(obj, readJSON(deckPath), rows, { file, usedGuids });
+      } catch (err) {
+        if (!(err instanceof DeckTableError)) throw err;
+        throw new MergeError('DECK_TABLE', `Deck table error: ${err.message}`);
+      }
+    }
+
+    // Children by parent GUID (order-preserving), rebuilt as ContainedObjects / States / ChildObjects
+    function loadObjectFromManifest(entry, manifestMap) {
+      const jsonPath = path.join(srcDir, entry.file);
+      const obj = mapAssetFields(expandDeckTable(readJSON(jsonPath), jsonPath, entry, manifestMap),
+        (value, field) => assetResolver.resolve(value, `${entry.file} ${field}`));
+
+      const guid = entry.guid || 'noguid';
+      const label = entry.nickname ? `${entry.nickname} (${guid})` : guid;
+      const luaPath = findObjectLuaPath(jsonPath);
+      const rawCode = luaPath ? fs.readFileSync(luaPath, 'utf-8') : null;
+      const statePath = jsonPath.replace(/\.json$/i, '.state.txt');
+      const xmlPath = jsonPath.replace(/\.json$/i, '.xml');
+      const memoPath = jsonPath.replace(/\.json$/i, '.memo.txt');
+
+      if (rawCode != null) {
+        obj.LuaScript = bundleLua(rawCode, `object:${guid}`, guid, label, {
+          ...luaOpts,
+          sourceFile: luaPath,
+          onMap: (map) => { luaMaps[guid] = map; },
+        });
+      }
+      if (fs.existsSync(statePath)) obj.LuaScriptState = fs.readFileSync(statePath, 'utf-8');
+      if (fs.existsSync(xmlPath)) obj.XmlUI = bundleXmlFile(xmlPath, [path.dirname(xmlPath), uiDir], guid, label);
+      if (fs.existsSync(memoPath)) obj.Memo = fs.readFileSync(memoPath, 'utf-8');
+
+      // Split children by relationship kind (entries without .relation are contained, as in older manifests)
+      const rawChildren = manifestMap[entry.guid] || [];
+      const byRelation = { contained: [], state: [], child: [] };
+      for (const child of rawChildren) {
+        const kind = child.relation || 'contained';
+        if (!byRelation[kind]) throw new MergeError('MANIFEST', `Unknown relation "${kind}" for ${child.file}`);
+        byRelation[kind].push(child);
+      }
+
+      const contained = sortByOrderStable(byRelation.contained);
+      if (contained.length > 0) {
+        obj.ContainedObjects = contained.map(child =>
+          loadObjectFromManifest(child, manifestMap)
+        );
+      }
+
+      const states = sortByOrderStable(byRelation.state);
+      if (states.length > 0) {
+        obj.States = {};
+        for (const child of states) {
+          if (child.stateKey == null) throw new MergeError('MANIFEST', `State entry is missing stateKey: ${child.file}`);
+          obj.States[String(child.stateKey)] = loadObjectFromManifest(child, manifestMap);
+        }
+      }
+
+      const attached = sortByOrderStable(byRelation.child);
+      if (attached.length > 0) {
+        obj.ChildObjects = attached.map(child =>
+          loadObjectFromManifest(child, manifestMap)
+        );
+      }
+      return entry.keyPositions ? restoreKeyPositions(obj, entry.keyPositions) : obj;
+    }
+
+    /**
+     * Modules required (directly or not) by at least SHARED_MIN_USERS scripts (objects and Global) whose
+     * copies outweigh the table entry, shims and register lines. The others stay embedded in each script.
+     */
+    function planSharedModules(manifest) {
+      const users = new Map(); // id -> { module, count }
+      const scripts = [
+        ...manifest.map(entry => ({ file: path.join(srcDir, entry.file), who: `object:${entry.guid || 'noguid'}` })),
+        { file: path.join(srcDir, 'Global', 'Global.json'), who: 'Global' },
+      ];
+      for (const { file, who } of scripts) {
+        const luaPath = findObjectLuaPath(file);
+        if (!luaPath) continue;
+        let modules;
+        try {
+          modules = listModules(fs.readFileSync(luaPath, 'utf-8'), who, luaOpts);
+        } catch (err) {
+          if (!(err instanceof LuaBundleError)) throw err;
+          throw new MergeError('LUA_BUNDLE', `Lua bundle error: ${err.message}`);
+        }
+        for (const module of modules) {
+          const use = users.get(module.id) || { module, count: 0 };
+          use.count++;
+          users.set(module.id, use);
+        }
+      }
+      const shared = [];
+      for (const [id, { module, count }] of users) {
+        if (count < SHARED_MIN_USERS) continue;
+        const saving = sharedModuleSaving(module, count, { minify: releaseMode });
+        if (saving > 0) shared.push(id);
+        else logger.log(`🔗 Shared Lua: ${id} stays embedded (${count} users, sharing would add ${-saving} bytes)`);
+      }
+      return shared.sort();
+    }
+
+    function reportLuaErrors() {
+      if (luaErrors.length === 0) {
+        logger.log(`✅ Lua syntax OK (${checkedLuaFiles.size} source(s))`);
+        return;
+      }
+      const lines = luaErrors.map(e => `${e.file}:${e.line}:${e.col}: ${e.message}`);
+      if (!allowLuaErrors) {
+        throw new MergeError('LUA_SYNTAX', `Lua syntax errors: ${luaErrors.length} (fix them or pass --allow-lua-errors to build anyway)`, lines);
+      }
+      luaErrors.forEach(e => warnings.push({ kind: 'lua-syntax', file: e.file, line: e.line, col: e.col, message: e.message }));
+      logger.warn(`\n⚠️  Lua syntax errors: ${luaErrors.length}`);
+      lines.forEach(l => logger.warn(`  • ${l}`));
+    }
+
+    function reportAssets() {
+      const { errors, used } = assetResolver;
+      if (errors.length) {
+        throw new MergeError('ASSETS', `Local asset errors: ${errors.length}`, errors.map(e => `${e.where}: ${e.message}`));
+      }
+      if (used.size === 0) return;
+      const target = localAssets ? 'file:/// URIs' : assetBaseUrl;
+      // Hashes are only recorded for real (uploaded) builds
+      if (localAssets || ci || !write) {
+        logger.log(`🖼️  Local assets: ${used.size} → ${target}`);
+        return;
+      }
+      const { added, changed } = writeAssetHashes(assetsDir, used);
+      logger.log(`🖼️  Local assets: ${used.size} → ${target} (${added.length} new, ${changed.length} changed since the last build)`);
+      [...added, ...changed].forEach(f => logger.log(`  ↑ ${f} (upload)`));
+    }
+
+    function reportXmlErrors() {
+      if (xmlFiles.size === 0) return;
+      const errors = xmlIssues.filter(i => i.severity === 'error');
+      const xmlWarnings = xmlIssues.filter(i => i.severity === 'warning');
+
+      const xmlWarning = (i) => ({ kind: 'xml-ui', file: i.file, line: i.line, col: i.col, message: i.message });
+      if (xmlWarnings.length) {
+        warnings.push(...xmlWarnings.map(xmlWarning));
+        logger.warn(`⚠️  XML UI warnings: ${xmlWarnings.length}`);
+        xmlWarnings.forEach(w => logger.warn(`  • ${w.file}:${w.line}:${w.col}: ${w.message}`));
+      }
+      if (errors.length === 0) {
+        logger.log(`✅ XML UI OK (${xmlFiles.size} file(s))`);
+        return;
+      }
+      const lines = errors.map(e => `${e.file}:${e.line}:${e.col}: ${e.message}`);
+      if (!allowXmlErrors) {
+        throw new MergeError('XML_UI', `XML UI errors: ${errors.length} (fix them or pass --allow-xml-errors to build anyway)`, lines);
+      }
+      warnings.push(...errors.map(xmlWarning));
+      logger.warn(`\n⚠️  XML UI errors: ${errors.length}`);
+      lines.forEach(l => logger.warn(`  • ${l}`));
+    }
+
+    function reportUiLint() {
+      const issues = uiLint.check();
+      if (issues.length === 0) {
+        if (xmlFiles.size) logger.log('✅ UI handlers and ids match the Lua scripts');
+        return;
+      }
+      warnings.push(...issues.map(i => ({ kind: 'ui-lint', ...i })));
+      logger.warn(`⚠️  UI cross-check: ${issues.length} issue(s)`);
+      issues.forEach(i => logger.warn(`  • ${i.file}:${i.line}:${i.col}: ${i.message}`));
+    }
+
+    function writeLuaMaps(outputFile) {
+      const mapsDir = mapsDirFor(outputFile);
+      fs.rmSync(mapsDir, { recursive: true, force: true });
+      const keys = Object.keys(luaMaps);
+      if (keys.length === 0) return;
+      fs.mkdirSync(mapsDir, { recursive: true });
+      for (const key of keys) {
+        const file = path.join(mapsDir, `${sanitizeFileNameStrict(key, 'noguid')}.map.json`);
+        fs.writeFileSync(file, JSON.stringify({ script: key, ...luaMaps[key] }, null, 2), 'utf-8');
+      }
+      logger.log(`🗺️  Lua source maps: ${keys.length} → ${mapsDir}`);
+    }
+
+    function archivePreviousBuilds(currentGameMode) {
+      if (!fs.existsSync(buildDir)) return;
+      fs.readdirSync(buildDir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+          const fullPath = path.join(buildDir, file);
+          const content = readJSON(fullPath);
+          if (content.GameMode === currentGameMode) {
+            fs.mkdirSync(archiveDir, { recursive: true });
+            const archivedFile = path.join(
+              archiveDir,
+              path.basename(file, '.json') + '_' + getTimestamp() + '.json'
+            );
+            fs.renameSync(fullPath, archivedFile);
+            if (fs.existsSync(mapsDirFor(fullPath))) fs.renameSync(mapsDirFor(fullPath), mapsDirFor(archivedFile));
+            logger.log(`📦 Archived: ${file} → ${archivedFile}`);
+            if (archiveKeep) pruneArchive(path.basename(file, '.json'));
+          }
+        });
+    }
+
+    /** Keeps the newest archiveKeep archived copies of <name>.json (timestamps sort by name) */
+    function pruneArchive(name) {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const stamped = new RegExp(`^${escaped}_\\d{4}-\\d{2}-\\d{2}T[\\d-]+\\.json$`);
+      const old = fs.readdirSync(archiveDir).filter(f => stamped.test(f)).sort().slice(0, -archiveKeep);
+      for (const file of old) {
+        const fullPath = path.join(archiveDir, file);
+        fs.unlinkSync(fullPath);
+        fs.rmSync(mapsDirFor(fullPath), { recursive: true, force: true });
+        logger.log(`🧹 Pruned archive: ${file} (keeping the newest ${archiveKeep})`);
+      }
+    }
+
+    function validateModStructure(mod) {
+      const errors = [];
+      const problems = [];
+
+      if (!Array.isArray(mod.ObjectStates) || mod.ObjectStates.length === 0) {
+        errors.push('Mod must contain non-empty ObjectStates array.');
+      }
+      if (!mod.SaveName || typeof mod.SaveName !== 'string') {
+        errors.push('SaveName is missing or invalid.');
+      }
+      if (!mod.GameMode || typeof mod.GameMode !== 'string') {
+        errors.push('GameMode is missing or invalid.');
+      }
+
+      mod.ObjectStates?.forEach((obj, i) => {
+        const p = `ObjectStates[${i}]`;
+        if (!obj.Name) errors.push(`${p} is missing Name.`);
+        if (!obj.Transform) errors.push(`${p} is missing Transform.`);
+
+        if (!obj.Nickname) {
+          const guid = obj.GUID || 'N/A';
+          const name = obj.Name || 'N/A';
+          const pos = obj.Transform?.posX !== undefined
+            ? `at position (${obj.Transform.posX}, ${obj.Transform.posY}, ${obj.Transform.posZ})`
+            : '(position unknown)';
+          problems.push(`${p} is missing Nickname → GUID: ${guid}, Name: ${name} ${pos}`);
+        }
+      });
+
+      // GUIDs of the whole tree (bags, decks, states, attached objects)
+      const guids = checkTreeGuids(mod.ObjectStates);
+      errors.push(...guids.errors);
+      problems.push(...guids.warnings);
+      if (guids.conflicts) {
+        (guids.errors.length ? errors : problems).push('→ `pnpm run guids -- --fix` regenerates duplicate / missing GUIDs in src/');
+      }
+
+      if (errors.length > 0) throw new MergeError('VALIDATION', 'Validation failed:', errors);
+      if (problems.length > 0) {
+        warnings.push(...problems.map(message => ({ kind: 'validation', message })));
+        logger.warn('\n⚠️  Validation warnings:');
+        problems.forEach(w => logger.warn('  • ' + w));
+      }
+      logger.log('✅ Validation passed.');
+    }
+
+    // Robust base name from SaveName -> GameMode -> fallback
+    function pickBaseName(base, topLevelEntries) {
+      const primary =
+        (typeof base.SaveName === 'string' && base.SaveName.trim()) ? base.SaveName.trim() :
+          (typeof base.GameMode === 'string' && base.GameMode.trim()) ? base.GameMode.trim() :
+            (topLevelEntries && topLevelEntries.length
+              ? (topLevelEntries[0].nickname || topLevelEntries[0].type || 'TTS_Save')
+              : 'TTS_Save');
+
+      return sanitizeFileNameStrict(primary, 'TTS_Save', nameMaxLength);
+    }
+
+    /** manifest.json reconciled with the object files in src/ (in memory; `pnpm run manifest` writes it) */
+    function readDiscoveredManifest() {
+      const current = fs.existsSync(manifestPath) ? readJSON(manifestPath) : [];
+      const report = discoverManifest(srcDir, current, { maxLength: nameMaxLength });
+      report.skipped.forEach(s => {
+        warnings.push({ kind: 'discovery', file: s.file, message: s.reason });
+        logger.warn(`⚠️  Discovery skipped ${s.file}: ${s.reason}`);
+      });
+      if (report.errors.length) {
+        throw new MergeError('MANIFEST', 'Discovery failed:', report.errors.map(e => `${e.file}: ${e.reason}`));
+      }
+      if (report.added.length || report.removed.length || report.updated.length) {
+        logger.log(`🧭 Discovered manifest: +${report.added.length} added, -${report.removed.length} dropped, ` +
+          `~${report.updated.length} updated (run \`pnpm run manifest\` to save it)`);
+      }
+      return report.manifest;
+    }
+
+    if (!fs.existsSync(manifestPath) && !discover) {
+      throw new MergeError('MISSING_MANIFEST', `manifest.json not found in ${srcDir} (use --discover to build it from the files)`);
+    }
+
+    if (write) {
+      fs.mkdirSync(buildDir, { recursive: true });
+      if (!ci && archive) fs.mkdirSync(archiveDir, { recursive: true });
+    }
+
+    if (debug) logger.log(`🔍 Lua search paths: ${luaSearchPaths.join(';')}`);
+
+    const manifest = discover ? readDiscoveredManifest() : readJSON(manifestPath);
+    const base = mapAssetFields(readJSON(path.join(srcDir, 'base.json')), (value, field) => assetResolver.resolve(value, `base.json ${field}`));
+
+    // Verify manifest files exist and GUIDs match
+    manifest.forEach(fileExistsStrict);
+    manifest.forEach(entry => { if (entry.guid) usedGuids.add(entry.guid); });
+
+    const sharedIds = sharedLua ? planSharedModules(manifest) : [];
+    if (sharedIds.length) {
+      luaOpts.sharedModules = new Set(sharedIds);
+      luaOpts.sharedStats = sharedStats;
+      logger.log(`🔗 Shared Lua modules hosted by Global: ${sharedIds.join(', ')}`);
+    } else if (sharedLua) {
+      logger.log(`🔗 Shared Lua: no module is required by ${SHARED_MIN_USERS}+ scripts and big enough to pay for sharing → nothing to share`);
+    }
+
+    // Group by parent GUID (or __root__) — insertion order preserved
+    const manifestMap = {};
+    for (const entry of manifest) {
+      const key = entry.parent || '__root__';
+      if (!manifestMap[key]) manifestMap[key] = [];
+      manifestMap[key].push(entry);
+    }
+
+    if (debug) {
+      const keys = Object.keys(manifestMap);
+      logger.log(`🧩 Manifest groups: ${keys.length} keys`);
+      for (const k of keys) {
+        const label = (k === '__root__') ? '__root__' : `parent GUID ${k}`;
+        const orders = (manifestMap[k] || []).map(e => (typeof e.order === 'number') ? e.order : null);
+        logger.log(`  - ${label}: ${manifestMap[k].length} item(s) | order: [${orders.join(', ')}]`);
+      }
+    }
+
+    // Top-level strictly by .order
+    const topLevel = sortByOrderStable(manifestMap['__root__'] || []);
+    const objectStates = topLevel.map(entry => loadObjectFromManifest(entry, manifestMap));
+
+    // Compose output filename
+    const baseName = pickBaseName(base, topLevel);
+    const versionTag = String(version).trim().replace(/^v+/i, '');
+    const versionClean = sanitizeFileNameStrict(versionTag, 'dev').replace(/[^A-Za-z0-9._-]/g, '_');
+
+    const saveFileName = saveFile.replace(/\{name\}/g, baseName).replace(/\{version\}/g, versionClean);
+    const outputFile = path.join(buildDir, saveFileName);
+
+    // Assemble final save
+    const merged = {
+      ...base,
+      ObjectStates: objectStates,
+      SaveName: (typeof base.SaveName === 'string' && base.SaveName.trim()) ? base.SaveName : baseName,
+      GameMode: (typeof base.GameMode === 'string' && base.GameMode.trim()) ? base.GameMode : baseName,
+      VersionNumber: version
+    };
+
+    // Global Lua & UI — prefer .lua, then .ttslua; bundle only if there are requires
+    const globalDir = path.join(srcDir, 'Global');
+    const globalLuaCandidates = [path.join(globalDir, 'Global.lua'), path.join(globalDir, 'Global.ttslua')];
+    const globalLuaPath = globalLuaCandidates.find(p => fs.existsSync(p));
+
+    // Global hosts the shared modules and requires them from that table too (a Global script is created if needed)
+    const globalLuaOpts = {
+      ...luaOpts,
+      sharedModules: new Set(sharedIds),
+      hostModules: sharedIds,
+      onMap: (map) => { luaMaps.Global = map; },
+    };
+    if (globalLuaPath) {
+      const rawGlobal = fs.readFileSync(globalLuaPath, 'utf-8');
+      merged.LuaScript = bundleLua(rawGlobal, 'Global', 'Global', 'Global', { ...globalLuaOpts, sourceFile: globalLuaPath });
+    } else if (sharedIds.length) {
+      merged.LuaScript = bundleLua('', 'Global', 'Global', 'Global', globalLuaOpts);
+    }
+
+    // Global state
+    const globalStateFile = path.join(globalDir, 'Global.state.txt');
+    if (fs.existsSync(globalStateFile)) {
+      merged.LuaScriptState = fs.readFileSync(globalStateFile, 'utf-8');
+    }
+
+    // Smart XML processing with bundling support
+    const globalXml = path.join(globalDir, 'UI.xml');
+    if (fs.existsSync(globalXml)) {
+      const xmlUIDir = path.join(globalDir, 'UI');
+      const xmlSourceDir = fs.existsSync(xmlUIDir) ? xmlUIDir : globalDir;
+      const xmlDirs = [xmlSourceDir, uiDir];
+      merged.XmlUI = bundleXmlFile(globalXml, xmlDirs, 'Global', 'Global');
+      if (debug) logger.log(merged.XmlUI.includes('<!-- include ')
+        ? `🎨 XML bundled with includes from ${xmlDirs.join(', ')}`
+        : '🎨 Simple XML loaded (no includes found)');
+    }
+
+    // Archiving (off in dev/CI, or in the config)
+    if (!write) {
+      // nothing on disk changes
+    } else if (!isDevVersion && !ci && archive) {
+      archivePreviousBuilds(merged.GameMode);
+    } else {
+      if (isDevVersion) logger.log('🧪 Dev build detected → archiving is disabled; file will be overwritten.');
+      if (ci) logger.log('🛰️ CI detected → archiving is disabled in CI to keep artifacts clean.');
+      if (!archive && !isDevVersion && !ci) logger.log('🗄️  Archiving is disabled in the config → previous builds are kept in place.');
+    }
+
+    reportLuaErrors();
+    reportXmlErrors();
+    reportUiLint();
+    reportAssets();
+    validateModStructure(merged);
+    if (failOnWarnings && warnings.length) {
+      throw new MergeError('WARNINGS', `${warnings.length} warning(s) and failOnWarnings is set (validation.failOnWarnings)`,
+        warnings.map(w => `${w.kind}: ${w.file ? `${w.file}${w.line ? `:${w.line}` : ''}: ` : ''}${w.message}`));
+    }
+    if (write) {
+      fs.writeFileSync(outputFile, JSON.stringify(merged, null, 2), 'utf-8');
+      writeLuaMaps(outputFile);
+    }
+
+    logger.log(`✅ Merged ${objectStates.length} objects`);
+    if (write) logger.log(`📁 Output saved to: ${outputFile}`);
+    logger.log(`📝 GameMode: ${merged.GameMode}`);
+    logger.log(`🧵 Bundling: luabundle-1.6.0 format (runtime ONLY if require(...) is present)`);
+    if (sharedIds.length) {
+      const saved = sharedStats.avoided - sharedStats.added;
+      logger.log(`🔗 Shared Lua (${SHARED_TABLE} in Global): ${sharedIds.length} module(s), saved ${saved} bytes ` +
+        `(${sharedStats.avoided} not embedded, ${sharedStats.added} for Global sources and object shims)`);
+    }
+    if (releaseMode) {
+      const saved = minifyStats.before - minifyStats.after;
+      logger.log(`🗜️  Lua minified: ${minifyStats.before} → ${minifyStats.after} bytes (saved ${saved})`);
+    } else if (options.release) {
+      logger.log('🧪 --release ignored for dev build → Lua kept readable');
+    }
+    if (merged.XmlUI) {
+      const hasIncludes = merged.XmlUI.includes('<!-- include ');
+      logger.log(`🎨 XML: ${hasIncludes ? 'bundled with includes' : 'simple format'}`);
+    }
+    logger.log(`🆕 Version: ${version}`);
+    logger.log('🔢 Order restored from manifest .order field');
+
+    return {
+      save: merged,
+      outputFile: write ? outputFile : null,
+      luaMaps,
+      warnings,
+      objects: objectStates.length,
+      rebuilt: [...rebuilt],
+      reused: [...reused].filter(label => !rebuilt.has(label)),
+      ms: Date.now() - started,
+    };
+  }
+
+  return {
+    build,
+
+    /** Scripts / UIs (labels) built from `file` in the last build: the file itself, a required module or an include */
+    dependents(file) {
+      const abs = path.resolve(file);
+      const owners = new Set();
+      for (const entry of [...luaCache.values(), ...xmlCache.values()]) {
+        if (entry.deps.has(abs)) owners.add(entry.owner);
+      }
+      return [...owners];
+    },
+
+    /** Forgets reused bundles (a module or include added/removed can change what a require or <Include> resolves to) */
+    invalidate() {
+      luaCache.clear();
+      xmlCache.clear();
+    },
+  };
+}
+
+/**
+ * One-shot merge: `merge({ srcDir, version })` → { save, outputFile, warnings, … } (see createMerge for the options).
+ * @throws {MergeError}
+ */
+function merge(options) {
+  return createMerge(options).build();
+}
+
+module.exports = {
+  MergeError,
+  createMerge,
+  merge,
+  mapsDirFor,
+  sanitizeFileNameStrict,
+};
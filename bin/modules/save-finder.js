@@ -0,0 +1,88 @@
+// modules/save-finder.js
+const fs = require('fs');
+const path = require('path');
+
+// Never saves: thumbnails, backups, TTS bookkeeping files
+const SKIP_FILE_RE = /\.(png|jpe?g|bak|tmp)$/i;
+const NON_SAVE_JSON = new Set(['savefileinfos.json', 'manifest.json', 'base.json']);
+const MAX_DEPTH = 3;
+
+function collectJsonFiles(dir, depth = 0, out = []) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return out;
+  }
+  for (const e of entries) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) {
+      if (depth < MAX_DEPTH && !e.name.startsWith('.')) collectJsonFiles(full, depth + 1, out);
+      continue;
+    }
+    if (!e.isFile() || SKIP_FILE_RE.test(e.name) || !/\.json$/i.test(e.name)) continue;
+    if (NON_SAVE_JSON.has(e.name.toLowerCase())) continue;
+    out.push(full);
+  }
+  return out;
+}
+
+/** Reads just enough of a JSON file to decide whether it is a TTS save (null when it is not) */
+function readSaveInfo(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.ObjectStates)) return null;
+  return {
+    file,
+    mtime: fs.statSync(file).mtime,
+    saveName: typeof data.SaveName === 'string' ? data.SaveName : '',
+    gameMode: typeof data.GameMode === 'string' ? data.GameMode : '',
+    objects: data.ObjectStates.length,
+  };
+}
+
+/**
+ * All TTS saves under `dir` (TTSave*.json first on equal mtime), newest first.
+ * @param {string} dir
+ * @param {{gameMode?: string}} opts  gameMode → keep saves whose SaveName/GameMode contains it (case-insensitive)
+ */
+function listSaveCandidates(dir, opts = {}) {
+  return collectJsonFiles(dir)
+    .map(readSaveInfo)
+    .filter(Boolean)
+    .filter(info => matchesGameMode(info, opts.gameMode))
+    .sort((a, b) => (b.mtime - a.mtime)
+      || (Number(/^TTSave/i.test(path.basename(b.file))) - Number(/^TTSave/i.test(path.basename(a.file))))
+      || a.file.localeCompare(b.file));
+}
+
+/** SaveName/GameMode contains `gameMode` (case-insensitive); no filter → true */
+function matchesGameMode(info, gameMode) {
+  const needle = gameMode ? String(gameMode).toLowerCase() : null;
+  return !needle || info.saveName.toLowerCase().includes(needle) || info.gameMode.toLowerCase().includes(needle);
+}
+
+function printSaveCandidates(candidates) {
+  if (candidates.length === 0) {
+    console.log('ℹ️  No TTS saves found.');
+    return;
+  }
+  console.log(`📚 ${candidates.length} save(s), newest first:`);
+  candidates.forEach((c, i) => {
+    const when = c.mtime.toISOString().replace('T', ' ').split('.')[0];
+    const label = c.saveName || c.gameMode || '(unnamed)';
+    const mode = c.gameMode && c.gameMode !== c.saveName ? ` [${c.gameMode}]` : '';
+    console.log(`  ${i === 0 ? '→' : ' '} ${when}  ${label}${mode}  (${c.objects} objects)  ${c.file}`);
+  });
+}
+
+module.exports = {
+  readSaveInfo,
+  matchesGameMode,
+  listSaveCandidates,
+  printSaveCandidates,
+};
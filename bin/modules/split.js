@@ -0,0 +1,318 @@
+// modules/split.js
+const fs = require('fs');
+const path = require('path');
+const { unbundleXML, unbundleXMLToEntries, isXMLBundled } = require('./xml-bundler');
+const {
+  readPreviousManifest,
+  createPathResolver,
+  applyIncremental,
+  printIncrementalReport,
+} = require('./incremental-split');
+const { extractRootModule, createModuleCollector, writeLibModules, printLibReport } = require('./lua-unbundle');
+const { mapAssetFields, createAssetUnresolver } = require('./local-assets');
+const { DECK_EXT, CARDS_CSV_EXT, toDeckForm, formatCsv } = require('./deck-table');
+const { NAME_MAX_LENGTH, RELATION_DIRS, sanitize, parentKey, stateKeyPart } = require('./manifest-discovery');
+
+/** A problem that stops the split; `code`: NO_OBJECT_STATES | INVALID_JSON */
+class SplitError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SplitError';
+    this.code = code;
+  }
+}
+
+// Default logger of the API: quiet, everything is in the result
+const silentLogger = { log: () => {}, warn: () => {} };
+
+// Global script/state/UI files split manages (incremental mode removes them when no longer produced)
+const GLOBAL_FILES = ['Global/Global.lua', 'Global/Global.state.txt', 'Global/UI.xml'];
+
+const padIndex = (i) => String(i + 1).padStart(3, '0');
+
+function cleanDirectory(dirPath) {
+  if (!fs.existsSync(dirPath)) return;
+  for (const file of fs.readdirSync(dirPath)) {
+    const fullPath = path.join(dirPath, file);
+    const st = fs.statSync(fullPath);
+    if (st.isDirectory()) {
+      cleanDirectory(fullPath);
+      fs.rmdirSync(fullPath);
+    } else {
+      fs.unlinkSync(fullPath);
+    }
+  }
+}
+
+function generateFilename(obj, order = null, includeNickname = false, maxLength = NAME_MAX_LENGTH, stateKey = null) {
+  const guid = sanitize(obj.GUID || 'noguid', maxLength);
+  let base = 'Unnamed';
+
+  if (includeNickname && obj.Nickname && obj.Name) {
+    base = sanitize(`${obj.Nickname}.${obj.Name}`, maxLength);
+  } else if (obj.Name) {
+    base = sanitize(obj.Name, maxLength);
+  }
+
+  const orderPrefix = (typeof order === 'number') ? `${padIndex(order)}_` : '';
+  const statePart = stateKey != null ? stateKeyPart(stateKey, maxLength) : '';
+  return `${orderPrefix}${statePart}${base}_${guid}.json`;
+}
+
+function generateParentKey(obj, maxLength = NAME_MAX_LENGTH) {
+  return parentKey(obj.Nickname, obj.GUID, maxLength);
+}
+
+/**
+ * Splits a parsed TTS save into src/ files (objects, Global, manifest.json) and re-extracts the Lua modules
+ * and UI fragments embedded in its scripts into lib/ and ui/.
+ * @param {object} save  parsed save JSON
+ * @param {{outDir?: string, libOutDir?: string, uiOutDir?: string, assetsDir?: string, assetBaseUrl?: string|null,
+ *          rawDecks?: boolean, update?: boolean, rename?: boolean, nameMaxLength?: number, write?: boolean,
+ *          logger?: {log: function, warn: function}}} [options]
+ *   update → keep the file paths of the previous split (matched by GUID), rename → regenerate them anyway;
+ *   rawDecks → decks stay JSON instead of <deck>.deck.json + <deck>.cards.csv;
+ *   nameMaxLength → longest name part of a generated file or folder name;
+ *   write → false only computes `files` (nothing on disk changes); logger → progress as the CLI prints it
+ * @returns {{manifest: object[], files: Map<string, string>, global: {lua: boolean, state: boolean, ui: boolean},
+ *            incremental: object|null, lib: object|null, ui: object|null, warnings: object[]}}
+ *   files → path relative to outDir → content; incremental / lib / ui → reports of what was written;
+ *   warnings → { kind: 'xml-unbundle' | 'lib-conflict', message }
+ * @throws {SplitError}
+ */
+function split(save, options = {}) {
+  const {
+    outDir = './src',
+    libOutDir = './lib',
+    uiOutDir = './ui',
+    assetsDir = './assets',
+    assetBaseUrl = null,
+    rawDecks = false,
+    update = false,
+    rename = false,
+    nameMaxLength = NAME_MAX_LENGTH,
+    write = true,
+    logger = silentLogger,
+  } = options;
+
+  if (!save || !Array.isArray(save.ObjectStates)) {
+    throw new SplitError('NO_OBJECT_STATES', 'Save file does not contain ObjectStates array!');
+  }
+
+  const manifest = [];
+  const warnings = [];
+  // Modules embedded in bundled scripts are re-extracted into a lib/-compatible tree
+  const libModules = createModuleCollector();
+  // Fragments included by object UIs go to the shared UI library (same folder merge resolves them from)
+  const uiFragments = createModuleCollector();
+  // URLs merge generated from assets/ (ASSET_BASE_URL/… or file:///…) go back to "assets/…" paths
+  const unresolveAsset = createAssetUnresolver({ assetsDir, baseUrl: assetBaseUrl });
+
+  // Everything split produces: path relative to outDir → content
+  const outputs = new Map();
+  const writeOutput = (relPath, content) => outputs.set(path.normalize(relPath), content);
+
+  // Incremental mode: matches objects to existing files by GUID
+  let previousManifest = null;
+  if (update) {
+    try {
+      previousManifest = readPreviousManifest(outDir);
+    } catch (err) {
+      throw new SplitError('INVALID_JSON', err.message);
+    }
+    if (!previousManifest) logger.log(`ℹ️  No manifest.json in ${outDir} → incremental split falls back to a full split`);
+  }
+  const resolver = previousManifest ? createPathResolver(previousManifest, { rename }) : null;
+
+  /** Bundled object XML → root with <Include> lines back; fragments are collected for the UI library */
+  function splitObjectXml(xml, who) {
+    if (!isXMLBundled(xml)) return xml;
+    try {
+      const modules = unbundleXML(xml);
+      for (const [name, content] of Object.entries(modules)) {
+        if (name !== '__root') uiFragments.addModule(name, content, who);
+      }
+      return modules.__root;
+    } catch (err) {
+      warnings.push({ kind: 'xml-unbundle', message: `${who}: ${err.message} (saved as is)` });
+      logger.warn(`❌ Error unbundling XML of ${who}: ${err.message} (saved as is)`);
+      return xml;
+    }
+  }
+
+  // стало: includeNicknameOnFilename — true для топ-левела, false для всех детей
+  function saveObjectToFile(obj, relativePath, parentGuid = null, order = null, includeNicknameOnFilename = false, relation = null, stateKey = null) {
+    const defaultFile = path.join(relativePath, generateFilename(obj, order, includeNicknameOnFilename, nameMaxLength, stateKey));
+    const relFile = resolver
+      ? resolver.objectFile(obj.GUID || null, parentGuid, relation, defaultFile)
+      : defaultFile;
+
+    const basePathNoExt = relFile.replace(/\.json$/i, '');
+    // Extracted fields are removed from the JSON; empty ones stay inline so merge gives them back
+    const objToWrite = { ...obj };
+    if (obj.LuaScript && obj.LuaScript.trim()) {
+      libModules.add(obj.LuaScript, `object:${obj.GUID || 'noguid'}`);
+      const cleaned = extractRootModule(obj.LuaScript);
+      writeOutput(basePathNoExt + '.lua', cleaned);
+      delete objToWrite.LuaScript;
+    }
+    if (obj.LuaScriptState && obj.LuaScriptState.trim()) {
+      writeOutput(basePathNoExt + '.state.txt', obj.LuaScriptState);
+      delete objToWrite.LuaScriptState;
+    }
+    if (obj.XmlUI && obj.XmlUI.trim()) {
+      writeOutput(basePathNoExt + '.xml', splitObjectXml(obj.XmlUI, `object:${obj.GUID || 'noguid'}`));
+      delete objToWrite.XmlUI;
+    }
+    if (obj.Memo && obj.Memo.trim()) {
+      writeOutput(basePathNoExt + '.memo.txt', obj.Memo);
+      delete objToWrite.Memo;
+    }
+
+    delete objToWrite.States;
+    delete objToWrite.ChildObjects;
+
+    const deckForm = rawDecks ? null : toDeckForm(obj, (reason) =>
+      logger.log(`🃏 Deck ${obj.Nickname || obj.GUID || 'noguid'} kept as card files: ${reason}`));
+    if (deckForm) {
+      for (const key of ['DeckIDs', 'CustomDeck', 'ContainedObjects']) delete objToWrite[key];
+      writeOutput(basePathNoExt + DECK_EXT, JSON.stringify(mapAssetFields(deckForm.definition, unresolveAsset), null, 2));
+      writeOutput(basePathNoExt + CARDS_CSV_EXT, formatCsv(deckForm.rows, deckForm.columns));
+    }
+    writeOutput(relFile, JSON.stringify(mapAssetFields(objToWrite, unresolveAsset), null, 2));
+
+    // Where the keys kept outside the JSON were, so merge puts them back in place
+    const keyPositions = {};
+    Object.keys(obj).forEach((key, index) => { if (!(key in objToWrite)) keyPositions[key] = index; });
+
+    manifest.push({
+      type: obj.Name || 'Object',
+      nickname: obj.Nickname || null,
+      guid: obj.GUID || null,
+      file: relFile,
+      parent: parentGuid || null,        // parent — GUID (как мы уже чинили)
+      order: (typeof order === 'number') ? order : null,
+      relation: relation || null,          // contained | state | child (null for top-level)
+      stateKey: stateKey ?? null,          // key in parent's States map ("2", "3", ...)
+      ...(Object.keys(keyPositions).length ? { keyPositions } : {}),
+    });
+
+    const nestedRelPath = (relationKind) => {
+      const defaultDir = path.join(RELATION_DIRS[relationKind], generateParentKey(obj, nameMaxLength));
+      return resolver ? resolver.containerDir(obj.GUID || null, relationKind, defaultDir) : defaultDir;
+    };
+
+    if (!deckForm && Array.isArray(obj.ContainedObjects) && obj.ContainedObjects.length) {
+      const containerRelPath = nestedRelPath('contained');
+      obj.ContainedObjects.forEach((child, index) =>
+        // для детей includeNicknameOnFilename = false
+        saveObjectToFile(child, containerRelPath, obj.GUID || null, index, false, 'contained')
+      );
+    }
+
+    // Alternate states: { "2": {...}, "3": {...} } — order follows the map's key order
+    if (obj.States && typeof obj.States === 'object' && Object.keys(obj.States).length) {
+      const statesRelPath = nestedRelPath('state');
+      Object.entries(obj.States).forEach(([key, stateObj], index) =>
+        saveObjectToFile(stateObj, statesRelPath, obj.GUID || null, index, false, 'state', key)
+      );
+    }
+
+    // Attached / jointed objects
+    if (Array.isArray(obj.ChildObjects) && obj.ChildObjects.length) {
+      const childrenRelPath = nestedRelPath('child');
+      obj.ChildObjects.forEach((child, index) =>
+        saveObjectToFile(child, childrenRelPath, obj.GUID || null, index, false, 'child')
+      );
+    }
+  }
+
+  // Split top-level objects with order
+  save.ObjectStates.forEach((obj, index) => saveObjectToFile(obj, '.', null, index, true));
+
+  // Export Global scripts/UI and strip them from base
+  const globalDir = 'Global';
+
+  if (save.LuaScript && save.LuaScript.trim()) {
+    libModules.add(save.LuaScript, 'Global');
+    const cleanedGlobal = extractRootModule(save.LuaScript);
+    writeOutput(path.join(globalDir, 'Global.lua'), cleanedGlobal);
+  }
+
+  if (save.LuaScriptState && save.LuaScriptState.trim()) {
+    writeOutput(path.join(globalDir, 'Global.state.txt'), save.LuaScriptState);
+  }
+
+  // Smart XML processing with unbundling support
+  if (save.XmlUI && save.XmlUI.trim()) {
+    if (isXMLBundled(save.XmlUI)) {
+      // Bundled XML → split into modules
+      try {
+        const xmlFiles = unbundleXMLToEntries(save.XmlUI);
+        xmlFiles.forEach(({ file, content }) => writeOutput(path.join(globalDir, file), content));
+        logger.log(`🎨 XML unbundled: ${xmlFiles.length} files (${xmlFiles.map(f => f.file).join(', ')})`);
+      } catch (err) {
+        warnings.push({ kind: 'xml-unbundle', message: `Global: ${err.message} (saved as UI.xml)` });
+        logger.warn(`❌ Error unbundling XML: ${err.message}`);
+        // Fallback: save as simple XML
+        writeOutput(path.join(globalDir, 'UI.xml'), save.XmlUI);
+        logger.log('🎨 XML saved as fallback UI.xml due to unbundling error');
+      }
+    } else {
+      // Simple XML → save as is
+      writeOutput(path.join(globalDir, 'UI.xml'), save.XmlUI);
+      logger.log('🎨 Simple XML saved as UI.xml');
+    }
+  }
+
+  const { ObjectStates, ...base } = save;
+  for (const key of ['LuaScript', 'LuaScriptState', 'XmlUI']) {
+    if (base[key] && base[key].trim()) delete base[key];
+  }
+  writeOutput('base.json', JSON.stringify(mapAssetFields(base, unresolveAsset), null, 2));
+  writeOutput('manifest.json', JSON.stringify(manifest, null, 2));
+
+  const global = { lua: !!save.LuaScript, state: !!save.LuaScriptState, ui: !!save.XmlUI };
+  const result = { manifest, files: outputs, global, incremental: null, lib: null, ui: null, warnings };
+  if (!write) return result;
+
+  fs.mkdirSync(outDir, { recursive: true });
+  if (resolver) {
+    result.incremental = applyIncremental(outDir, outputs, manifest, resolver, { ownedFiles: GLOBAL_FILES });
+    printIncrementalReport(result.incremental, logger);
+  } else {
+    logger.log(`🧹 Cleaning output folder: ${outDir}`);
+    cleanDirectory(outDir);
+    for (const [relPath, content] of outputs) {
+      const fullPath = path.join(outDir, relPath);
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      fs.writeFileSync(fullPath, content, 'utf-8');
+    }
+    fs.mkdirSync(path.join(outDir, globalDir), { recursive: true });
+  }
+
+  result.lib = writeLibModules(libOutDir, libModules);
+  printLibReport(libOutDir, result.lib, 'Lua modules', logger);
+  result.ui = writeLibModules(uiOutDir, uiFragments, { exts: ['.xml'], toPath: (id) => id.replace(/\.xml$/i, '') });
+  printLibReport(uiOutDir, result.ui, 'UI fragments', logger);
+  for (const c of [...result.lib.conflicts, ...result.ui.conflicts]) {
+    warnings.push({ kind: 'lib-conflict', file: c.file, message: `"${c.id}": ${c.details.join('; ')}` });
+  }
+
+  logger.log(`✅ Successfully split ${manifest.length} objects.`);
+  logger.log(`📤 Output saved in: ${outDir}`);
+  logger.log('🧹 Lua cleaned: extracted only __root body (handles return __bundle_require("__root")).');
+  logger.log(`🔎 Global extracted: ${[
+    global.lua && 'Lua',
+    global.state && 'State',
+    global.ui && 'UI'
+  ].filter(Boolean).join(', ') || 'none'}`);
+  if (resolver && !rename) logger.log('🔢 Existing file paths kept; order is tracked in manifest .order');
+  else logger.log('🔢 Order preserved: files prefixed with numbers (001_, 002_, etc.)');
+  return result;
+}
+
+module.exports = {
+  SplitError,
+  split,
+};
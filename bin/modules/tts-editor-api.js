@@ -0,0 +1,212 @@
+// modules/tts-editor-api.js
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { traceLine, parseErrorMessage } = require('./lua-bandler');
+
+/** ===== TTS External Editor API (JSON over localhost TCP, one message per connection) ===== */
+
+// TTS listens on 39999; the editor (us) listens on 39998 for what TTS sends back
+const TTS_PORT = 39999;
+const EDITOR_PORT = 39998;
+const GLOBAL_GUID = '-1';
+
+// Editor → TTS
+const TO_TTS = {
+  GET_SCRIPTS: 0,
+  SAVE_AND_PLAY: 1,
+  CUSTOM_MESSAGE: 2,
+  EXECUTE_LUA: 3,
+};
+
+// TTS → editor
+const FROM_TTS = {
+  PUSH_OBJECT: 0,   // script editor opened for an object → { scriptStates }
+  NEW_GAME: 1,      // a game was loaded (also after Save & Play) → { scriptStates }
+  PRINT: 2,         // print() → { message }
+  ERROR: 3,         // { error, guid, errorMessagePrefix }
+  CUSTOM: 4,        // sendExternalMessage() → { customMessage }
+  RETURN: 5,        // result of EXECUTE_LUA → { returnValue }
+  GAME_SAVED: 6,
+  OBJECT_CREATED: 7, // { guid }
+};
+
+class TtsConnectionError extends Error {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'TtsConnectionError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Sends one message to TTS (opens a connection, writes the JSON, closes).
+ * @param {object} message  { messageID, ... }
+ * @param {{host?: string, port?: number, timeout?: number}} [opts]
+ * @returns {Promise<void>}
+ * @throws {TtsConnectionError} TTS not running / no game loaded / timeout
+ */
+function sendToTTS(message, { host = '127.0.0.1', port = TTS_PORT, timeout = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    let failed = false;
+    const fail = (msg, err) => {
+      if (failed) return;
+      failed = true;
+      socket.destroy();
+      reject(new TtsConnectionError(msg, err));
+    };
+
+    socket.setTimeout(timeout, () => fail(`no answer from TTS on ${host}:${port} within ${timeout} ms`));
+    socket.on('error', (err) => fail(err.code === 'ECONNREFUSED'
+      ? `TTS is not listening on ${host}:${port} (is Tabletop Simulator running with a game loaded?)`
+      : `cannot talk to TTS on ${host}:${port}: ${err.message}`, err));
+    socket.on('connect', () => socket.end(JSON.stringify(message)));
+    socket.on('close', () => { if (!failed) resolve(); });
+  });
+}
+
+/**
+ * Listens for messages from TTS. Each connection carries one JSON message;
+ * `onMessage(msg)` gets the parsed object, `onError(err)` unparsable data and server errors.
+ * @param {{host?: string, port?: number, onMessage: function(object): void, onError?: function(Error): void}} opts
+ * @returns {Promise<net.Server>} resolves once listening
+ */
+function listenForTTS({ host = '127.0.0.1', port = EDITOR_PORT, onMessage, onError = () => {} }) {
+  const server = net.createServer((socket) => {
+    const chunks = [];
+    socket.on('data', (chunk) => chunks.push(chunk));
+    socket.on('error', onError);
+    socket.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf-8').trim();
+      if (!text) return;
+      try {
+        onMessage(JSON.parse(text));
+      } catch (err) {
+        onError(new Error(`unreadable message from TTS: ${err.message}`));
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      server.on('error', onError);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Asks TTS for the scripts and UI of the loaded game ("Get Lua Scripts") and waits for the answer.
+ * @param {{host?: string, port?: number, editorPort?: number, timeout?: number}} [opts]
+ * @returns {Promise<{name: string, guid: string, script?: string, ui?: string}[]>}
+ * @throws {TtsConnectionError} TTS not reachable, editor port taken, or no answer in time
+ */
+async function requestScripts({ host = '127.0.0.1', port = TTS_PORT, editorPort = EDITOR_PORT, timeout = 10000 } = {}) {
+  let server = null;
+  let settle = null;
+  const answer = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+  answer.catch(() => {}); // may fail before it is awaited; the error surfaces at `await answer`
+  try {
+    server = await listenForTTS({
+      host,
+      port: editorPort,
+      onMessage: (msg) => { if (msg.messageID === FROM_TTS.NEW_GAME) settle.resolve(msg.scriptStates || []); },
+      onError: (err) => settle.reject(new TtsConnectionError(err.message, err)),
+    });
+  } catch (err) {
+    throw new TtsConnectionError(`cannot listen on ${host}:${editorPort} (${err.code || err.message}); close other editor plugins`, err);
+  }
+
+  const timer = setTimeout(() => settle.reject(new TtsConnectionError(`no scripts from TTS within ${timeout} ms`)), timeout);
+  try {
+    await sendToTTS({ messageID: TO_TTS.GET_SCRIPTS }, { host, port, timeout });
+    return await answer;
+  } finally {
+    clearTimeout(timer);
+    server.close();
+  }
+}
+
+/**
+ * Scripts and UI of a built save as Save & Play script states: Global ("-1") and top-level objects.
+ * Objects inside bags/decks are not in the scene, so TTS cannot update them this way.
+ * @returns {{name: string, guid: string, script: string, ui: string}[]}
+ */
+function scriptStatesFromSave(save) {
+  const states = [{ name: 'Global', guid: GLOBAL_GUID, script: save.LuaScript || '', ui: save.XmlUI || '' }];
+  for (const obj of save.ObjectStates || []) {
+    if (!obj.GUID) continue;
+    if (!(obj.LuaScript || '').trim() && !(obj.XmlUI || '').trim()) continue;
+    states.push({ name: obj.Nickname || obj.Name || obj.GUID, guid: obj.GUID, script: obj.LuaScript || '', ui: obj.XmlUI || '' });
+  }
+  return states;
+}
+
+/**
+ * Script states that differ from what the game has (`known`: guid → { script, ui }, from previous pushes and
+ * the scripts TTS reports when a game loads). Unknown GUIDs count as changed.
+ */
+function changedScriptStates(states, known) {
+  return states.filter(s => {
+    const prev = known.get(s.guid);
+    return !prev || prev.script !== s.script || prev.ui !== s.ui;
+  });
+}
+
+/**
+ * TTS error message → the source files and lines, via the Lua maps merge wrote next to the save.
+ * Without a GUID (from the message or msg.guid) only shared-module errors can be traced: every map
+ * holding the module is tried and the distinct hits are returned.
+ * @param {{error?: string, guid?: string, errorMessagePrefix?: string}} msg
+ * @param {string|null} mapsDir
+ * @returns {{file: string, line: number}[]}  empty when the error cannot be placed
+ */
+function traceTtsError(msg, mapsDir) {
+  if (!mapsDir || !fs.existsSync(mapsDir)) return [];
+  const text = `${msg.errorMessagePrefix || ''} ${msg.error || ''}`;
+  const parsed = parseErrorMessage(text);
+  if (!parsed.line) return [];
+  const script = msg.guid === GLOBAL_GUID ? 'Global' : (msg.guid || parsed.script);
+  if (!script && !parsed.chunk) return [];
+
+  const loadMap = (name) => {
+    const file = path.join(mapsDir, `${name}.map.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+  };
+  const hasChunk = (map) => map && map.chunks && map.chunks[parsed.chunk];
+  let maps;
+  if (!parsed.chunk) {
+    maps = [loadMap(script)];
+  } else if (script && hasChunk(loadMap(script))) {
+    maps = [loadMap(script)];
+  } else {
+    maps = fs.readdirSync(mapsDir).filter(f => f.endsWith('.map.json')).sort()
+      .map(f => loadMap(f.replace(/\.map\.json$/, '')))
+      .filter(hasChunk);
+  }
+
+  const hits = new Map();
+  for (const map of maps.filter(Boolean)) {
+    const hit = traceLine(map, parsed.line, parsed.chunk);
+    if (hit && hit.line) hits.set(`${hit.file}:${hit.line}`, hit);
+  }
+  return [...hits.values()];
+}
+
+module.exports = {
+  TTS_PORT,
+  EDITOR_PORT,
+  GLOBAL_GUID,
+  TO_TTS,
+  FROM_TTS,
+  TtsConnectionError,
+  sendToTTS,
+  listenForTTS,
+  requestScripts,
+  scriptStatesFromSave,
+  changedScriptStates,
+  traceTtsError,
+};
@@ -0,0 +1,148 @@
+// modules/tts-ui-schema.js
+/**
+ * Description of Tabletop Simulator UI elements and attributes (XML UI, as documented in the TTS API).
+ * Attribute types are checked by xml-validator; attributes not listed here are reported as warnings
+ * (TTS ignores them), unknown elements are errors.
+ */
+
+const ALIGNMENTS = [
+  'UpperLeft', 'UpperCenter', 'UpperRight',
+  'MiddleLeft', 'MiddleCenter', 'MiddleRight',
+  'LowerLeft', 'LowerCenter', 'LowerRight',
+];
+const ANIMATIONS = [
+  'None', 'Show', 'Hide', 'Grow', 'Shrink', 'FadeIn', 'FadeOut',
+  'SlideIn_Left', 'SlideIn_Right', 'SlideIn_Top', 'SlideIn_Bottom',
+  'SlideOut_Left', 'SlideOut_Right', 'SlideOut_Top', 'SlideOut_Bottom',
+  'GrowHorizontal', 'ShrinkHorizontal', 'GrowVertical', 'ShrinkVertical',
+];
+
+// type → attribute names; types: bool, float, int, color, colors, enum:[...], floats:N (space/comma separated), string
+const COMMON = {
+  // general
+  id: 'string', class: 'string', active: 'bool', visibility: 'string',
+  // text
+  text: 'string', font: 'string', fontSize: 'float', fontStyle: ['Normal', 'Bold', 'Italic', 'BoldAndItalic'],
+  alignment: ALIGNMENTS, color: 'color', outline: 'color', outlineSize: 'floats:2', shadow: 'color', shadowDistance: 'floats:2',
+  resizeTextForBestFit: 'bool', resizeTextMinSize: 'float', resizeTextMaxSize: 'float',
+  horizontalOverflow: ['Wrap', 'Overflow'], verticalOverflow: ['Truncate', 'Overflow'],
+  // layout element
+  ignoreLayout: 'bool', minWidth: 'float', minHeight: 'float', preferredWidth: 'float', preferredHeight: 'float',
+  flexibleWidth: 'float', flexibleHeight: 'float',
+  // position / size
+  rectAlignment: ALIGNMENTS, width: 'float', height: 'float', offsetXY: 'floats:2',
+  position: 'floats:3', rotation: 'floats:3', scale: 'floats:3', pivot: 'floats:2',
+  // dragging
+  allowDragging: 'bool', restrictDraggingToParentBounds: 'bool', returnToOriginalPositionWhenReleased: 'bool',
+  // animation
+  showAnimation: ANIMATIONS, hideAnimation: ANIMATIONS, showAnimationDelay: 'float', hideAnimationDelay: 'float',
+  animationDuration: 'float',
+  // tooltips
+  tooltip: 'string', tooltipBorderColor: 'color', tooltipBackgroundColor: 'color', tooltipTextColor: 'color',
+  tooltipPosition: ['Above', 'Below', 'Left', 'Right'], tooltipBorderImage: 'string', tooltipBackgroundImage: 'string',
+  tooltipOffset: 'float',
+  // appearance / events
+  image: 'string', raycastTarget: 'bool', interactable: 'bool', colors: 'colors',
+  onClick: 'handler', onMouseEnter: 'handler', onMouseExit: 'handler', onMouseDown: 'handler', onMouseUp: 'handler',
+  onElementDropped: 'handler', onDrag: 'handler', onBeginDrag: 'handler', onEndDrag: 'handler',
+};
+
+const TEXTUAL = { textColor: 'color', textShadow: 'color', textOutline: 'color', textAlignment: ALIGNMENTS };
+const LAYOUT_GROUP = {
+  padding: 'floats:4', spacing: 'float', childAlignment: ALIGNMENTS,
+  childForceExpandWidth: 'bool', childForceExpandHeight: 'bool', childControlWidth: 'bool', childControlHeight: 'bool',
+};
+const SCROLL_VIEW = {
+  horizontal: 'bool', vertical: 'bool', movementType: ['Unrestricted', 'Elastic', 'Clamped'], elasticity: 'float',
+  inertia: 'bool', decelerationRate: 'float', scrollSensitivity: 'float',
+  horizontalScrollbarVisibility: ['Permanent', 'AutoHide', 'AutoHideAndExpandViewport'],
+  verticalScrollbarVisibility: ['Permanent', 'AutoHide', 'AutoHideAndExpandViewport'],
+  noScrollbars: 'bool', scrollbarBackgroundColor: 'color', scrollbarColors: 'colors', scrollbarImage: 'string',
+  onValueChanged: 'handler',
+};
+
+const ELEMENTS = {
+  Panel: { padding: 'floats:4' },
+  Text: {},
+  Image: { preserveAspect: 'bool', type: ['Simple', 'Sliced', 'Tiled', 'Filled'] },
+  ProgressBar: {
+    fillImage: 'string', fillImageColor: 'color', percentage: 'float', showPercentageText: 'bool',
+    percentageTextFormat: 'string', ...TEXTUAL,
+  },
+  Button: {
+    ...TEXTUAL, icon: 'string', iconWidth: 'float', iconColor: 'color', iconAlignment: ['Left', 'Right'],
+    padding: 'floats:4', transition: ['None', 'ColorTint', 'SpriteSwap', 'Animation'],
+    highlightedSprite: 'string', pressedSprite: 'string', disabledSprite: 'string',
+  },
+  InputField: {
+    ...TEXTUAL, lineType: ['SingleLine', 'MultiLineSubmit', 'MultiLineNewLine'],
+    characterValidation: ['None', 'Integer', 'Decimal', 'Alphanumeric', 'Name', 'EmailAddress'],
+    caretBlinkRate: 'float', caretWidth: 'float', caretColor: 'color', selectionColor: 'color', readOnly: 'bool',
+    characterLimit: 'int', placeholder: 'string', onValueChanged: 'handler', onEndEdit: 'handler', onSubmit: 'handler',
+  },
+  Toggle: {
+    ...TEXTUAL, isOn: 'bool', toggleWidth: 'float', toggleHeight: 'float',
+    toggleBackgroundImage: 'string', toggleBackgroundColor: 'color', toggleSelectedImage: 'string',
+    toggleSelectedColor: 'color', onValueChanged: 'handler',
+  },
+  ToggleButton: { ...TEXTUAL, isOn: 'bool', padding: 'floats:4', onValueChanged: 'handler' },
+  ToggleGroup: {
+    allowSwitchOff: 'bool', toggleBackgroundImage: 'string', toggleBackgroundColor: 'color',
+    toggleSelectedImage: 'string', toggleSelectedColor: 'color',
+  },
+  Slider: {
+    minValue: 'float', maxValue: 'float', value: 'float', wholeNumbers: 'bool',
+    direction: ['LeftToRight', 'RightToLeft', 'BottomToTop', 'TopToBottom'],
+    backgroundColor: 'color', fillColor: 'color', handleColor: 'color',
+    fillImage: 'string', handleImage: 'string', backgroundImage: 'string', onValueChanged: 'handler',
+  },
+  Dropdown: {
+    ...TEXTUAL, arrowImage: 'string', checkImage: 'string', arrowColor: 'color', dropdownBackgroundColor: 'color',
+    itemBackgroundColors: 'colors', itemHeight: 'float', dropdownBackgroundImage: 'string', itemTextColor: 'color',
+    scrollbarColors: 'colors', scrollbarImage: 'string', dropdownHeight: 'float', onValueChanged: 'handler',
+  },
+  Option: { selected: 'bool', value: 'string' },
+  HorizontalLayout: LAYOUT_GROUP,
+  VerticalLayout: LAYOUT_GROUP,
+  GridLayout: {
+    padding: 'floats:4', spacing: 'floats:2', cellSize: 'floats:2', childAlignment: ALIGNMENTS,
+    startCorner: ['UpperLeft', 'UpperRight', 'LowerLeft', 'LowerRight'], startAxis: ['Horizontal', 'Vertical'],
+    constraint: ['Flexible', 'FixedColumnCount', 'FixedRowCount'], constraintCount: 'int',
+  },
+  TableLayout: {
+    padding: 'floats:4', cellSpacing: 'float', columnWidths: 'string', automaticallyAddColumns: 'bool',
+    automaticallyRemoveEmptyColumns: 'bool', autoCalculateHeight: 'bool', useGlobalCellPadding: 'bool',
+    cellPadding: 'floats:4', cellBackgroundImage: 'string', cellBackgroundColor: 'color',
+    rowBackgroundImage: 'string', rowBackgroundColor: 'color',
+  },
+  Row: { dontUseTableRowBackground: 'bool' },
+  Cell: { columnSpan: 'int', dontUseTableCellBackground: 'bool', overrideGlobalCellPadding: 'bool', padding: 'floats:4' },
+  HorizontalScrollView: SCROLL_VIEW,
+  VerticalScrollView: SCROLL_VIEW,
+  VideoPlayer: { video: 'string', autoplay: 'bool', loop: 'bool', volume: 'float' },
+  // Container for per-element default attributes; its children are element names
+  Defaults: {},
+  // Resolved by the bundler, never reaches TTS
+  Include: { src: 'string' },
+};
+
+// Named colors TTS understands (Unity + player colors)
+const NAMED_COLORS = new Set([
+  'white', 'black', 'clear', 'grey', 'gray', 'red', 'green', 'blue', 'yellow', 'cyan', 'magenta',
+  'brown', 'orange', 'purple', 'pink', 'teal',
+]);
+
+/** Attribute spec for `attr` on `element` (undefined → unknown attribute) */
+function attributeType(element, attr) {
+  const own = ELEMENTS[element];
+  if (own && Object.prototype.hasOwnProperty.call(own, attr)) return own[attr];
+  if (Object.prototype.hasOwnProperty.call(COMMON, attr)) return COMMON[attr];
+  return undefined;
+}
+
+module.exports = {
+  ELEMENTS,
+  COMMON,
+  NAMED_COLORS,
+  attributeType,
+};
@@ -0,0 +1,190 @@
+// modules/ui-lint.js
+const { tokenize, significantTokens, stringValue, LuaLexError } = require('./lua-lexer');
+
+/** ===== Lua ↔ XML UI cross-check (handler names and element ids) ===== */
+
+// UI methods whose first argument is an element id
+const ID_METHODS = new Set([
+  'getAttribute', 'getAttributes', 'setAttribute', 'setAttributes',
+  'getValue', 'setValue', 'show', 'hide', 'setClass',
+]);
+// UI methods that replace the whole UI at runtime (ids can't be known statically)
+const XML_METHODS = new Set(['setXml', 'setXmlTable']);
+
+const isOp = (t, v) => t && t.type === 'op' && t.value === v;
+const isString = (t) => t && (t.type === 'string' || t.type === 'longstring');
+
+function tokensOf(code) {
+  try {
+    return significantTokens(tokenize(String(code)));
+  } catch (e) {
+    if (e instanceof LuaLexError) return []; // reported by the syntax check
+    throw e;
+  }
+}
+
+/**
+ * Functions a script defines: `function name()` / `name = function` (globals, callable by UI events)
+ * and `local function name()` / `local name = function` (not reachable from XML).
+ * @returns {{globals: Set<string>, locals: Set<string>}}
+ */
+function findLuaFunctions(code) {
+  const toks = tokensOf(code);
+  const globals = new Set();
+  const locals = new Set();
+
+  for (let i = 0; i < toks.length; i++) {
+    const t = toks[i];
+    const before = toks[i - 1];
+
+    if (t.type === 'keyword' && t.value === 'function') {
+      const name = toks[i + 1];
+      if (!name || name.type !== 'name' || !isOp(toks[i + 2], '(')) continue; // anonymous or a.b / a:b
+      const isLocal = before && before.type === 'keyword' && before.value === 'local';
+      (isLocal ? locals : globals).add(name.value);
+      continue;
+    }
+
+    if (t.type === 'name' && isOp(toks[i + 1], '=')) {
+      const value = toks[i + 2];
+      if (!value || value.type !== 'keyword' || value.value !== 'function') continue;
+      if (['.', ':', '{', ','].some(op => isOp(before, op))) continue; // table fields
+      const isLocal = before && before.type === 'keyword' && before.value === 'local';
+      (isLocal ? locals : globals).add(t.value);
+    }
+  }
+  return { globals, locals };
+}
+
+/**
+ * UI element ids referenced from Lua with a string literal:
+ * `UI.setAttribute("id", …)`, `self.UI.hide("id")`, `Global.UI.getValue("id")`, …
+ * scope 'self' = the script owner's UI, 'global' = Global UI; other objects' UI (`obj.UI`) is skipped.
+ * @returns {{refs: {scope: string, id: string, method: string, line: number, col: number}[], rebuilds: Set<string>}}
+ *   rebuilds → scopes whose UI is replaced at runtime via setXml / setXmlTable
+ */
+function findUiIdRefs(code) {
+  const toks = tokensOf(code);
+  const refs = [];
+  const rebuilds = new Set();
+
+  for (let i = 0; i < toks.length; i++) {
+    const t = toks[i];
+    if (t.type !== 'name' || t.value !== 'UI') continue;
+    if (!(isOp(toks[i + 1], '.') || isOp(toks[i + 1], ':'))) continue;
+
+    let scope = 'global';
+    if (isOp(toks[i - 1], '.')) {
+      const owner = toks[i - 2];
+      if (owner && owner.value === 'self' && !isOp(toks[i - 3], '.')) scope = 'self';
+      else if (owner && owner.value === 'Global' && !isOp(toks[i - 3], '.')) scope = 'global';
+      else continue;
+    }
+
+    const method = toks[i + 2];
+    if (!method || method.type !== 'name') continue;
+    if (XML_METHODS.has(method.value)) { rebuilds.add(scope); continue; }
+    if (!ID_METHODS.has(method.value)) continue;
+
+    const arg = isOp(toks[i + 3], '(') ? toks[i + 4] : toks[i + 3];
+    if (!isString(arg)) continue; // computed id
+    refs.push({ scope, id: stringValue(arg), method: method.value, line: arg.line, col: arg.col });
+  }
+  return { refs, rebuilds };
+}
+
+/**
+ * Collects XML summaries (from xml-validator) and Lua sources per UI owner ('Global' or an object GUID),
+ * then reports handlers without a Lua function and Lua id references without an XML element.
+ */
+function createUiLint() {
+  const owners = new Map(); // owner → { xml: {handlers, ids} | null, lua: [{code, file}] }
+  const ownerOf = (key) => {
+    if (!owners.has(key)) owners.set(key, { xml: null, lua: [] });
+    return owners.get(key);
+  };
+
+  return {
+    /** @param {string} owner @param {{handlers: object[], ids: Map<string, object>}} summary */
+    addXml(owner, summary) {
+      const o = ownerOf(owner);
+      if (!o.xml) o.xml = { handlers: [], ids: new Map() };
+      o.xml.handlers.push(...summary.handlers);
+      for (const [id, at] of summary.ids) if (!o.xml.ids.has(id)) o.xml.ids.set(id, at);
+    },
+
+    /** Root script or bundled module of `owner` */
+    addLua(owner, code, file) {
+      ownerOf(owner).lua.push({ code, file });
+    },
+
+    /** @returns {{file: string, line: number, col: number, message: string}[]} */
+    check() {
+      const issues = [];
+      const functions = new Map(); // owner → { globals, locals }
+      const scans = new Map();     // owner → [{ file, refs, rebuilds }]
+
+      for (const [key, o] of owners) {
+        const globals = new Set();
+        const locals = new Set();
+        const perFile = [];
+        for (const src of o.lua) {
+          const fns = findLuaFunctions(src.code);
+          fns.globals.forEach(n => globals.add(n));
+          fns.locals.forEach(n => locals.add(n));
+          perFile.push({ file: src.file, ...findUiIdRefs(src.code) });
+        }
+        functions.set(key, { globals, locals });
+        scans.set(key, perFile);
+      }
+      // scope of a script's UI call → owner whose UI it touches
+      const targetOf = (key, scope) => (scope === 'self' ? key : 'Global');
+      const rebuilt = (target) => [...scans].some(([key, list]) =>
+        list.some(s => [...s.rebuilds].some(scope => targetOf(key, scope) === target)));
+
+      // XML → Lua: every handler must name a global function of its target script
+      for (const [key, o] of owners) {
+        if (!o.xml) continue;
+        for (const h of o.xml.handlers) {
+          const m = h.value.trim().match(/^(?:([\w-]+)\/)?([A-Za-z_]\w*)/);
+          if (!m) continue; // malformed, reported by the XML validator
+          const target = m[1] || key;
+          const fn = m[2];
+          const where = { file: h.file, line: h.line, col: h.col };
+          const fns = functions.get(target);
+          if (!fns) {
+            const what = target === 'Global' ? 'Global' : `object ${target}`;
+            issues.push({ ...where, message: `${h.attr}="${h.value}": ${what} has no Lua script` });
+          } else if (!fns.globals.has(fn)) {
+            const hint = fns.locals.has(fn) ? ' (it is local; UI events need a global function)' : '';
+            issues.push({ ...where, message: `${h.attr}="${h.value}": function ${fn} is not defined${hint}` });
+          }
+        }
+      }
+
+      // Lua → XML: every literal id must exist in the targeted UI
+      for (const [key, list] of scans) {
+        for (const scan of list) {
+          for (const ref of scan.refs) {
+            const target = targetOf(key, ref.scope);
+            if (rebuilt(target)) continue;
+            const xml = owners.get(target) && owners.get(target).xml;
+            if (xml && xml.ids.has(ref.id)) continue;
+            const ui = target === 'Global' ? 'Global UI' : `UI of object ${target}`;
+            issues.push({
+              file: scan.file, line: ref.line, col: ref.col,
+              message: `UI.${ref.method}("${ref.id}"): no element with this id in ${ui}`,
+            });
+          }
+        }
+      }
+      return issues;
+    },
+  };
+}
+
+module.exports = {
+  findLuaFunctions,
+  findUiIdRefs,
+  createUiLint,
+};
@@ -2,133 +2,211 @@
 const fs = require('fs');
 const path = require('path');
 
-const INCLUDE_PATTERN = /^(\s*)<Include src="([^"]+)"\s*\/>/;
-const COMMENT_PATTERN = /^(\s*)<!-- include ([^ ]+) -->/;
+// Comments are matched first so includes inside them are left alone
+const INCLUDE_OR_COMMENT = /<!--[\s\S]*?-->|<Include\b((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(?:\/>|>\s*<\/Include\s*>)/g;
+const ATTR_PATTERN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const MARKER_PATTERN = /<!-- include (\S+) -->/g;
+
+class XmlIncludeError extends Error {
+  constructor(message, file = null, line = null, col = null) {
+    super(file ? `${file}${line ? `:${line}:${col}` : ''}: ${message}` : message);
+    this.name = 'XmlIncludeError';
+    this.reason = message;
+    this.file = file;
+    this.line = line;
+    this.col = col;
+  }
+}
 
 function isXMLBundled(xmlContent) {
   return xmlContent && xmlContent.includes('<!-- include ');
 }
 
-function bundleXML(xmlContent, xmlDir, visited = new Set()) {
-  if (!xmlContent) return xmlContent;
-
-  const lines = xmlContent.split('\n');
-  const result = [];
-
-  for (const line of lines) {
-    const match = line.match(INCLUDE_PATTERN);
+/** File name of an include / fragment: "panels/header" and "panels/header.xml" → "panels/header.xml" */
+const fragmentFile = (src) => (src.endsWith('.xml') ? src : `${src}.xml`);
+
+const isInside = (root, file) => {
+  const rel = path.relative(path.resolve(root), path.resolve(file));
+  return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel);
+};
+
+/**
+ * Resolves an <Include src>:
+ *   "./x", "../x" → relative to the including file's folder;
+ *   "x"           → searched in the UI roots, in order (e.g. Global/UI, then the shared UI library).
+ * The result must stay inside one of the roots; its key (path inside that root, "/"-separated, no .xml)
+ * is what the bundle markers carry and what split writes back.
+ * @param {string} src
+ * @param {{from?: string, roots: string|string[]}} opts  from = including file
+ * @returns {{file: string, key: string}}
+ * @throws {XmlIncludeError} escaping path or missing file
+ */
+function resolveInclude(src, { from = null, roots }) {
+  const rootList = [].concat(roots || []);
+  const rel = fragmentFile(src.trim().replace(/\\/g, '/'));
+  if (!rel || rel === '.xml') throw new XmlIncludeError('<Include> without src');
+  if (path.isAbsolute(rel)) throw new XmlIncludeError(`absolute include path not allowed: ${src}`);
+
+  const isRelative = rel.startsWith('./') || rel.startsWith('../');
+  const candidates = isRelative
+    ? [path.join(from ? path.dirname(from) : rootList[0] || '.', rel)]
+    : rootList.map(root => path.join(root, rel));
+
+  const inside = candidates
+    .map(file => ({ file, root: rootList.find(root => isInside(root, file)) }))
+    .filter(c => c.root);
+  if (inside.length === 0) {
+    throw new XmlIncludeError(`include "${src}" escapes the UI folders (${rootList.join(', ')})`);
+  }
 
-    if (!match) {
-      result.push(line);
-      continue;
-    }
+  const hit = inside.find(c => fs.existsSync(c.file));
+  if (!hit) {
+    throw new XmlIncludeError(`missing include "${src}" (tried ${inside.map(c => c.file).join(', ')})`);
+  }
+  const key = path.relative(hit.root, hit.file).split(path.sep).join('/').replace(/\.xml$/i, '');
+  return { file: hit.file, key };
+}
 
-    const [, indent, srcFile] = match;
-    const cleanSrc = srcFile.replace(/\.\.\//g, ''); // безопасность
+const lineColAt = (text, offset) => {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, col: offset - before.lastIndexOf('\n') };
+};
+
+/**
+ * Replaces every <Include src="x"/> (any position, quotes or attribute order) with the content of x,
+ * wrapped in <!-- include <key> --> markers. An include alone on its line keeps the line layout
+ * (content indented like the tag); inline includes are replaced inline.
+ * @param {string} xmlContent
+ * @param {{file?: string, roots: string|string[]}} opts  file = path of xmlContent (for relative includes and errors)
+ * @returns {string}
+ * @throws {XmlIncludeError} missing, escaping or circular include
+ */
+function bundleXML(xmlContent, { file = null, roots }, visited = new Set()) {
+  if (!xmlContent) return xmlContent;
 
-    if (visited.has(cleanSrc)) {
-      console.warn(`⚠️  Circular XML include: ${cleanSrc}`);
-      result.push(`${indent}<!-- CIRCULAR: ${cleanSrc} -->`);
-      continue;
-    }
+  return xmlContent.replace(INCLUDE_OR_COMMENT, (match, attrText, offset, text) => {
+    if (match.startsWith('<!--')) return match;
 
-    const xmlFile = cleanSrc.endsWith('.xml') ? cleanSrc : `${cleanSrc}.xml`;
-    const fullPath = path.join(xmlDir, xmlFile);
+    const where = lineColAt(text, offset);
+    const fail = (message) => { throw new XmlIncludeError(message, file, where.line, where.col); };
 
-    if (!fs.existsSync(fullPath)) {
-      console.error(`❌ Missing XML include: ${fullPath}`);
-      result.push(`${indent}<!-- MISSING: ${cleanSrc} -->`);
-      continue;
+    let src = null;
+    for (const [, name, dq, sq] of attrText.matchAll(ATTR_PATTERN)) {
+      if (name === 'src') src = dq != null ? dq : sq;
     }
+    if (src == null) fail('<Include> without src');
 
-    result.push(`${indent}<!-- include ${cleanSrc} -->`);
-
+    let resolved;
     try {
-      const includeContent = fs.readFileSync(fullPath, 'utf-8');
-      const bundled = bundleXML(includeContent, xmlDir, new Set([...visited, cleanSrc]));
-
-      const indented = bundled.split('\n')
+      resolved = resolveInclude(src, { from: file, roots });
+    } catch (err) {
+      if (err instanceof XmlIncludeError) fail(err.reason);
+      throw err;
+    }
+    const absFile = path.resolve(resolved.file);
+    if (visited.has(absFile)) fail(`circular include "${src}"`);
+
+    const content = bundleXML(fs.readFileSync(resolved.file, 'utf-8'), { file: resolved.file, roots },
+      new Set([...visited, absFile]));
+    const marker = `<!-- include ${resolved.key} -->`;
+
+    // Alone on its line → marker / indented content / marker on separate lines
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    const lineEnd = text.indexOf('\n', offset + match.length);
+    const indent = text.slice(lineStart, offset);
+    const rest = text.slice(offset + match.length, lineEnd === -1 ? text.length : lineEnd);
+    if (/^\s*$/.test(indent) && /^\s*$/.test(rest)) {
+      const indented = content.split('\n')
         .map(line => line.length > 0 ? `${indent}${line}` : line)
         .join('\n');
-
-      result.push(indented);
-    } catch (err) {
-      console.error(`❌ Error reading ${fullPath}: ${err.message}`);
-      result.push(`${indent}<!-- ERROR: ${cleanSrc} -->`);
+      return `${marker}\n${indented}\n${indent}${marker}`;
     }
-
-    result.push(`${indent}<!-- include ${cleanSrc} -->`);
-  }
-
-  return result.join('\n');
+    return `${marker}${content.trim()}${marker}`;
+  });
 }
 
+/**
+ * Bundled XML → { <key>: fragment, __root: root } with every marker pair turned back into <Include src="<key>"/>.
+ * Nested includes stay as <Include> lines inside their parent fragment.
+ */
 function unbundleXML(bundledXml) {
   const modules = {};
-  const lines = bundledXml.split('\n');
-  const stack = [];
-
-  let i = 0;
-  while (i < lines.length) {
-    const line = lines[i];
-    const commentMatch = line.match(COMMENT_PATTERN);
-
-    if (!commentMatch) {
-      i++;
-      continue;
-    }
-
-    const [, indent, moduleName] = commentMatch;
-
-    if (stack.length > 0 && stack[stack.length - 1].name === moduleName && stack[stack.length - 1].indent === indent) {
-      // Закрывающий комментарий - извлекаем модуль
-      const openTag = stack.pop();
-      const moduleLines = lines.slice(openTag.start + 1, i);
 
-      const unindented = moduleLines.map(line =>
-        line.startsWith(indent) ? line.slice(indent.length) : line
-      );
-
-      modules[moduleName] = unindented.join('\n').trim();
-
-      const replacement = `${indent}<Include src="${moduleName}"/>`;
-      lines.splice(openTag.start, i - openTag.start + 1, replacement);
-      i = openTag.start + 1;
-    } else {
-      stack.push({ name: moduleName, indent, start: i });
-      i++;
+  const strip = (text) => {
+    let out = '';
+    let pos = 0;
+    MARKER_PATTERN.lastIndex = 0;
+    for (;;) {
+      MARKER_PATTERN.lastIndex = pos;
+      const open = MARKER_PATTERN.exec(text);
+      if (!open) break;
+      const key = open[1];
+      const openEnd = open.index + open[0].length;
+      const close = text.indexOf(open[0], openEnd);
+      if (close === -1) { // unpaired marker → plain comment
+        out += text.slice(pos, openEnd);
+        pos = openEnd;
+        continue;
+      }
+
+      const lineStart = text.lastIndexOf('\n', open.index - 1) + 1;
+      const indent = text.slice(lineStart, open.index);
+      const closeLineStart = text.lastIndexOf('\n', close - 1) + 1;
+      const standalone = /^\s*$/.test(indent)
+        && text[openEnd] === '\n'
+        && text.slice(closeLineStart, close) === indent
+        && closeLineStart > openEnd;
+
+      let inner;
+      if (standalone) {
+        inner = text.slice(openEnd + 1, closeLineStart - 1).split('\n')
+          .map(line => line.startsWith(indent) ? line.slice(indent.length) : line)
+          .join('\n');
+      } else {
+        inner = text.slice(openEnd, close);
+      }
+
+      modules[key] = strip(inner).trim();
+      out += text.slice(pos, open.index) + `<Include src="${key}"/>`;
+      pos = close + open[0].length;
     }
-  }
+    return out + text.slice(pos);
+  };
 
-  modules['__root'] = lines.join('\n').trim();
+  modules['__root'] = strip(bundledXml).trim();
   return modules;
 }
 
-function unbundleXMLToFiles(bundledXml, outputDir) {
+/** Bundled XML → [{ file, content }] with paths relative to the Global dir (UI.xml, UI/<module>.xml) */
+function unbundleXMLToEntries(bundledXml) {
   const modules = unbundleXML(bundledXml);
+  return Object.entries(modules).map(([moduleName, content]) => ({
+    file: moduleName === '__root' ? 'UI.xml' : `UI/${fragmentFile(moduleName)}`,
+    content,
+  }));
+}
+
+function unbundleXMLToFiles(bundledXml, outputDir) {
   const files = [];
 
-  for (const [moduleName, content] of Object.entries(modules)) {
-    if (moduleName === '__root') {
-      const mainPath = path.join(outputDir, 'UI.xml');
-      fs.writeFileSync(mainPath, content, 'utf-8');
-      files.push('UI.xml');
-    } else {
-      const modulesDir = path.join(outputDir, 'UI');
-      fs.mkdirSync(modulesDir, { recursive: true });
-
-      const modulePath = path.join(modulesDir, `${moduleName}.xml`);
-      fs.writeFileSync(modulePath, content, 'utf-8');
-      files.push(`UI/${moduleName}.xml`);
-    }
+  for (const { file, content } of unbundleXMLToEntries(bundledXml)) {
+    const fullPath = path.join(outputDir, file);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content, 'utf-8');
+    files.push(file);
   }
 
   return files;
 }
 
 module.exports = {
+  XmlIncludeError,
+  fragmentFile,
+  resolveInclude,
   bundleXML,
   unbundleXML,
   unbundleXMLToFiles,
+  unbundleXMLToEntries,
   isXMLBundled
-};
\ No newline at end of file
+};
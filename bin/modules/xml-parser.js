@@ -0,0 +1,162 @@
+// modules/xml-parser.js
+/** ===== Small XML fragment parser (TTS UI files may have several top-level elements) ===== */
+
+class XmlSyntaxError extends Error {
+  constructor(message, line, col) {
+    super(`${message} at ${line}:${col}`);
+    this.name = 'XmlSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.col = col;
+  }
+}
+
+const NAME_RE = /[A-Za-z_:][\w:.-]*/y;
+const ENTITY_RE = /&(?:[A-Za-z]+|#\d+|#x[0-9A-Fa-f]+);/y;
+const KNOWN_ENTITIES = new Set(['amp', 'lt', 'gt', 'quot', 'apos']);
+
+/**
+ * Parses an XML fragment into a node tree.
+ * Element: { type: 'element', name, attrs: [{ name, value, line, col }], children, line, col }
+ * Text:    { type: 'text', value, line, col }
+ * @param {string} src
+ * @returns {{type: 'root', children: object[]}}
+ * @throws {XmlSyntaxError}
+ */
+function parseXmlFragment(src) {
+  const s = String(src);
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const pos = () => ({ line, col: i - lineStart + 1 });
+  const fail = (message, at = pos()) => { throw new XmlSyntaxError(message, at.line, at.col); };
+  const advance = (n) => {
+    for (let k = 0; k < n; k++) {
+      if (s[i] === '\n') { line++; lineStart = i + 1; }
+      i++;
+    }
+  };
+  const skipTo = (needle, what) => {
+    const at = pos();
+    const end = s.indexOf(needle, i);
+    if (end === -1) fail(`unclosed ${what}`, at);
+    advance(end - i + needle.length);
+  };
+  const skipSpace = () => { while (i < s.length && /\s/.test(s[i])) advance(1); };
+  const readName = () => {
+    NAME_RE.lastIndex = i;
+    const m = NAME_RE.exec(s);
+    if (!m) return null;
+    advance(m[0].length);
+    return m[0];
+  };
+  const checkEntities = (text, at) => {
+    for (let k = text.indexOf('&'); k !== -1; k = text.indexOf('&', k + 1)) {
+      ENTITY_RE.lastIndex = k;
+      const m = ENTITY_RE.exec(text);
+      if (!m) fail(`unescaped '&' (use &amp;)`, at);
+      const name = m[0].slice(1, -1);
+      if (!name.startsWith('#') && !KNOWN_ENTITIES.has(name)) fail(`unknown entity '${m[0]}'`, at);
+    }
+  };
+  const decode = (text) => text
+    .replace(/&#x([0-9A-Fa-f]+);/g, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+
+  while (i < s.length) {
+    const parent = stack[stack.length - 1];
+
+    if (s.startsWith('<!--', i)) { skipTo('-->', 'comment'); continue; }
+    if (s.startsWith('<![CDATA[', i)) {
+      const at = pos();
+      const start = i + 9;
+      skipTo(']]>', 'CDATA section');
+      parent.children.push({ type: 'text', value: s.slice(start, i - 3), ...at });
+      continue;
+    }
+    if (s.startsWith('<?', i)) { skipTo('?>', 'processing instruction'); continue; }
+    if (s.startsWith('<!', i)) { skipTo('>', 'declaration'); continue; }
+
+    // closing tag
+    if (s.startsWith('</', i)) {
+      const at = pos();
+      advance(2);
+      const name = readName();
+      if (!name) fail('invalid closing tag', at);
+      skipSpace();
+      if (s[i] !== '>') fail(`'>' expected in closing tag </${name}>`);
+      advance(1);
+      if (stack.length === 1) fail(`unexpected closing tag </${name}>`, at);
+      const open = stack.pop();
+      if (open.name !== name) {
+        fail(`closing tag </${name}> does not match <${open.name}> opened at line ${open.line}`, at);
+      }
+      continue;
+    }
+
+    // opening tag
+    if (s[i] === '<') {
+      const at = pos();
+      advance(1);
+      const name = readName();
+      if (!name) fail(`invalid tag name`, at);
+      const el = { type: 'element', name, attrs: [], children: [], ...at };
+      const seen = new Set();
+
+      for (;;) {
+        const hadSpace = /\s/.test(s[i] || '');
+        skipSpace();
+        if (i >= s.length) fail(`unclosed tag <${name}>`, at);
+        if (s.startsWith('/>', i)) { advance(2); parent.children.push(el); break; }
+        if (s[i] === '>') { advance(1); parent.children.push(el); stack.push(el); break; }
+
+        const attrAt = pos();
+        if (!hadSpace) fail(`whitespace expected between attributes in <${name}>`);
+        const attrName = readName();
+        if (!attrName) fail(`invalid attribute in <${name}>`);
+        skipSpace();
+        if (s[i] !== '=') fail(`'=' expected after attribute '${attrName}'`);
+        advance(1);
+        skipSpace();
+        const quote = s[i];
+        if (quote !== '"' && quote !== "'") fail(`attribute value of '${attrName}' must be quoted`);
+        const end = s.indexOf(quote, i + 1);
+        if (end === -1) fail(`unclosed attribute value of '${attrName}'`, attrAt);
+        const raw = s.slice(i + 1, end);
+        if (raw.includes('<')) fail(`'<' is not allowed in attribute value of '${attrName}'`, attrAt);
+        checkEntities(raw, attrAt);
+        advance(end - i + 1);
+        if (seen.has(attrName)) fail(`duplicate attribute '${attrName}' in <${name}>`, attrAt);
+        seen.add(attrName);
+        el.attrs.push({ name: attrName, value: decode(raw), ...attrAt });
+      }
+      continue;
+    }
+
+    // text
+    const at = pos();
+    const next = s.indexOf('<', i);
+    const end = next === -1 ? s.length : next;
+    const raw = s.slice(i, end);
+    checkEntities(raw, at);
+    advance(end - i);
+    if (raw.trim()) parent.children.push({ type: 'text', value: decode(raw), ...at });
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new XmlSyntaxError(`unclosed tag <${open.name}>`, open.line, open.col);
+  }
+  return root;
+}
+
+module.exports = {
+  XmlSyntaxError,
+  parseXmlFragment,
+};
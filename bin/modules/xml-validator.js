@@ -0,0 +1,158 @@
+// modules/xml-validator.js
+const fs = require('fs');
+const { parseXmlFragment, XmlSyntaxError } = require('./xml-parser');
+const { ELEMENTS, NAMED_COLORS, attributeType } = require('./tts-ui-schema');
+const path = require('path');
+const { resolveInclude, XmlIncludeError } = require('./xml-bundler');
+
+const NUMBER_RE = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+const INT_RE = /^[-+]?\d+$/;
+const HEX_COLOR_RE = /^#(?:[0-9A-Fa-f]{3,4}|[0-9A-Fa-f]{6}|[0-9A-Fa-f]{8})$/;
+const RGB_COLOR_RE = /^rgba?\(\s*([^)]*)\)$/i;
+// func | Global/func | <guid>/func, optionally with a string argument: func(arg)
+const HANDLER_RE = /^(?:[\w-]+\/)?[A-Za-z_]\w*(?:\([^)]*\))?$/;
+
+function isColor(value) {
+  const v = value.trim();
+  if (HEX_COLOR_RE.test(v) || NAMED_COLORS.has(v.toLowerCase())) return true;
+  const m = v.match(RGB_COLOR_RE);
+  if (!m) return false;
+  const parts = m[1].split(',').map(p => p.trim());
+  return (parts.length === 3 || parts.length === 4) && parts.every(p => NUMBER_RE.test(p));
+}
+
+/** Problem with `value` for attribute type `type`, or null when it's fine */
+function checkValue(type, value) {
+  if (Array.isArray(type)) {
+    return type.some(t => t.toLowerCase() === value.trim().toLowerCase())
+      ? null : `expected one of ${type.join(', ')}`;
+  }
+  if (type === 'bool') return /^(true|false)$/i.test(value.trim()) ? null : 'expected true or false';
+  if (type === 'float') return NUMBER_RE.test(value.trim()) ? null : 'expected a number';
+  if (type === 'int') return INT_RE.test(value.trim()) ? null : 'expected an integer';
+  if (type === 'color') return isColor(value) ? null : 'expected a color (#RRGGBB[AA], rgb(...), or a color name)';
+  if (type === 'colors') {
+    return value.split('|').every(isColor) ? null : 'expected colors separated by |';
+  }
+  if (type === 'handler') return HANDLER_RE.test(value.trim()) ? null : 'expected a Lua function name';
+  if (type.startsWith('floats:')) {
+    const n = Number(type.slice(7));
+    const parts = value.trim().split(/[\s,]+/);
+    return parts.length === n && parts.every(p => NUMBER_RE.test(p)) ? null : `expected ${n} numbers`;
+  }
+  return null;
+}
+
+/**
+ * Collects problems of one UI tree (a UI.xml and everything it includes).
+ * Issue: { severity: 'error'|'warning', file, line, col, message }
+ */
+function createXmlValidator() {
+  const issues = [];
+  const files = new Set();
+  const add = (severity, file, node, message) =>
+    issues.push({ severity, file, line: node.line, col: node.col, message });
+
+  function checkAttrs(file, el, { ids, handlers }) {
+    for (const attr of el.attrs) {
+      const type = attributeType(el.name, attr.name);
+      if (type === undefined) {
+        add('warning', file, attr, `unknown attribute '${attr.name}' on <${el.name}> (ignored by TTS)`);
+        continue;
+      }
+      const problem = checkValue(type, attr.value);
+      if (problem) add('error', file, attr, `${el.name}.${attr.name}="${attr.value}": ${problem}`);
+      if (type === 'handler') handlers.push({ attr: attr.name, value: attr.value, file, line: attr.line, col: attr.col });
+      if (ids && attr.name === 'id') {
+        const prev = ids.get(attr.value);
+        if (prev) {
+          add('error', file, attr, `duplicate id "${attr.value}" (first used at ${prev.file}:${prev.line}:${prev.col})`);
+        } else {
+          ids.set(attr.value, { file, line: attr.line, col: attr.col });
+        }
+      }
+    }
+  }
+
+  function walk(nodes, file, ctx) {
+    for (const node of nodes) {
+      if (node.type !== 'element') continue;
+
+      if (!Object.prototype.hasOwnProperty.call(ELEMENTS, node.name)) {
+        add('error', file, node, `unknown element <${node.name}>`);
+        // A typo (<Pannel>) should not hide what is inside it
+        walk(node.children, file, ctx);
+        continue;
+      }
+
+      if (node.name === 'Include') {
+        const src = node.attrs.find(a => a.name === 'src');
+        if (!src) { add('error', file, node, '<Include> without src'); continue; }
+        if (!ctx.includeDirs.length) { add('error', file, node, '<Include> is not supported here'); continue; }
+        // Same resolution as the bundler
+        let target;
+        try {
+          target = resolveInclude(src.value, { from: file, roots: ctx.includeDirs }).file;
+        } catch (err) {
+          if (!(err instanceof XmlIncludeError)) throw err;
+          add('error', file, src, err.reason);
+          continue;
+        }
+        const abs = path.resolve(target);
+        if (ctx.visited.has(abs)) { add('error', file, src, `circular include "${src.value}"`); continue; }
+        visit(target, { ...ctx, visited: new Set([...ctx.visited, abs]) });
+        continue;
+      }
+
+      if (node.name === 'Defaults') {
+        // Children are element names carrying default attributes (optionally per class)
+        for (const def of node.children) {
+          if (def.type !== 'element') continue;
+          if (!Object.prototype.hasOwnProperty.call(ELEMENTS, def.name)) {
+            add('error', file, def, `unknown element <${def.name}> in <Defaults>`);
+          } else {
+            checkAttrs(file, def, { ...ctx, ids: null });
+          }
+        }
+        continue;
+      }
+
+      checkAttrs(file, node, ctx);
+      walk(node.children, file, ctx);
+    }
+  }
+
+  function visit(file, ctx) {
+    files.add(file);
+    let tree;
+    try {
+      tree = parseXmlFragment(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      if (!(err instanceof XmlSyntaxError)) throw err;
+      issues.push({ severity: 'error', file, line: err.line, col: err.col, message: err.reason });
+      return;
+    }
+    walk(tree.children, file, ctx);
+  }
+
+  return {
+    issues,
+    files,
+    /**
+     * Validates a UI file; ids must be unique across it and its includes.
+     * @param {string} file
+     * @param {{includeDirs?: string[]}} [opts] folders <Include src> is resolved against, in order (no includes when omitted)
+     * @returns {{handlers: object[], ids: Map<string, object>}} event handler attributes and element ids (for ui-lint)
+     */
+    validate(file, { includeDirs = [] } = {}) {
+      const ctx = { includeDirs, ids: new Map(), handlers: [], visited: new Set([path.resolve(file)]) };
+      visit(file, ctx);
+      return { handlers: ctx.handlers, ids: ctx.ids };
+    },
+  };
+}
+
+module.exports = {
+  createXmlValidator,
+  checkValue,
+};
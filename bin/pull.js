@@ -0,0 +1,160 @@
+// pull.js
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { extractRootModule, parseLuaBundle } = require('./modules/lua-unbundle');
+const { readBuildTag } = require('./modules/lua-bandler');
+const { bundleXML, unbundleXML, isXMLBundled, resolveInclude, XmlIncludeError } = require('./modules/xml-bundler');
+const { resolveSearchPaths, findModuleFile, LuaPathError } = require('./modules/lua-path');
+const { GLOBAL_GUID, TtsConnectionError, requestScripts } = require('./modules/tts-editor-api');
+const { cliConfig } = require('./modules/config');
+
+// CLI args
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const config = cliConfig(args);
+
+const srcDir = config.paths.src;
+const manifestPath = path.join(srcDir, 'manifest.json');
+const UI_DIR = config.paths.ui;
+// Lua search path for comparing embedded modules (resolved in main)
+let luaSearchPaths = [];
+
+const { host: ttsHost, port: ttsPort, editorPort } = config.editor;
+
+const sameText = (a, b) => String(a).replace(/\s+$/, '') === String(b).replace(/\s+$/, '');
+
+/** Where a game script belongs in src/: { who, lua, xml, xmlRoots } or { skip: reason } */
+function targetFor(state, manifest) {
+  if (String(state.guid) === GLOBAL_GUID) {
+    const globalDir = path.join(srcDir, 'Global');
+    const uiDir = path.join(globalDir, 'UI');
+    return {
+      who: 'Global',
+      lua: path.join(globalDir, 'Global.lua'),
+      xml: path.join(globalDir, 'UI.xml'),
+      xmlRoots: [fs.existsSync(uiDir) ? uiDir : globalDir, UI_DIR],
+    };
+  }
+
+  const entries = manifest.filter(e => e.guid === state.guid);
+  const top = entries.filter(e => !e.parent);
+  const entry = top.length === 1 ? top[0] : (entries.length === 1 ? entries[0] : null);
+  if (!entry) {
+    return { skip: entries.length ? `GUID used by ${entries.length} manifest entries` : 'not in manifest.json (new in the game? save and split/update)' };
+  }
+  const base = path.join(srcDir, entry.file).replace(/\.json$/i, '');
+  return {
+    who: `${entry.nickname || entry.type} (${entry.guid})`,
+    lua: [`${base}.lua`, `${base}.ttslua`].find(f => fs.existsSync(f)) || `${base}.lua`,
+    xml: `${base}.xml`,
+    xmlRoots: [path.dirname(base), UI_DIR],
+  };
+}
+
+/** Local UI file that bundles to exactly the game's UI (so `src="x.xml"` vs `src="x"` is not a change) */
+function bundlesTo(file, ui, roots) {
+  if (!fs.existsSync(file)) return false;
+  try {
+    return sameText(bundleXML(fs.readFileSync(file, 'utf-8'), { file, roots }), ui);
+  } catch (err) {
+    if (err instanceof XmlIncludeError) return false;
+    throw err;
+  }
+}
+
+/** Writes `content` to `file` unless it is already there; empty content removes the file */
+function update(file, content, report, same = false) {
+  const exists = fs.existsSync(file);
+  if (!String(content || '').trim()) {
+    if (!exists) return;
+    if (!dryRun) fs.unlinkSync(file);
+    report.removed.push(file);
+    return;
+  }
+  if (exists && (same || sameText(fs.readFileSync(file, 'utf-8'), content))) {
+    report.unchanged++;
+    return;
+  }
+  if (!dryRun) fs.writeFileSync(file, content, 'utf-8');
+  (exists ? report.updated : report.created).push(file);
+}
+
+/** Library modules / UI fragments embedded in the game copy that differ from their files (never written) */
+function compareIncluded(state, target, report) {
+  const bundle = parseLuaBundle(state.script || '');
+  for (const [id, code] of Object.entries(bundle ? bundle.modules : {})) {
+    const { file } = findModuleFile(id, luaSearchPaths);
+    if (!file) report.notes.push(`${target.who}: module "${id}" is not in the Lua search path`);
+    else if (!sameText(fs.readFileSync(file, 'utf-8'), code)) report.notes.push(`${target.who}: module "${id}" differs from ${file}`);
+  }
+
+  if (!isXMLBundled(state.ui || '')) return;
+  for (const [key, content] of Object.entries(unbundleXML(state.ui))) {
+    if (key === '__root') continue;
+    try {
+      const { file } = resolveInclude(key, { roots: target.xmlRoots });
+      if (!sameText(fs.readFileSync(file, 'utf-8'), content)) report.notes.push(`${target.who}: UI fragment "${key}" differs from ${file}`);
+    } catch (err) {
+      if (!(err instanceof XmlIncludeError)) throw err;
+      report.notes.push(`${target.who}: UI fragment "${key}" not found (${err.message})`);
+    }
+  }
+}
+
+async function main() {
+  if (!fs.existsSync(manifestPath)) {
+    console.error(`❌ manifest.json not found in ${srcDir} (run split first)`);
+    process.exit(1);
+  }
+  try {
+    luaSearchPaths = resolveSearchPaths({ libDir: config.paths.lib, luaPath: config.bundling.luaPath || undefined });
+  } catch (err) {
+    if (!(err instanceof LuaPathError)) throw err;
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+
+  let scriptStates;
+  try {
+    scriptStates = await requestScripts({ host: ttsHost, port: ttsPort, editorPort });
+  } catch (err) {
+    if (!(err instanceof TtsConnectionError)) throw err;
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  console.log(`📥 ${scriptStates.length} script(s) from TTS`);
+
+  const report = { created: [], updated: [], removed: [], unchanged: 0, skipped: [], notes: [] };
+  for (const state of scriptStates) {
+    const target = targetFor(state, manifest);
+    const tag = readBuildTag(state.script);
+    if (!target.skip && tag.length) {
+      target.skip = `${tag.join(' + ')} build; pulling would overwrite src/ with generated code (load a dev build, then pull)`;
+    }
+    if (target.skip) {
+      report.skipped.push(`${state.name || 'object'} (${state.guid}): ${target.skip}`);
+      continue;
+    }
+    update(target.lua, extractRootModule(state.script || ''), report);
+    const ui = state.ui || '';
+    const same = isXMLBundled(ui) && bundlesTo(target.xml, ui, target.xmlRoots);
+    update(target.xml, isXMLBundled(ui) ? unbundleXML(ui).__root : ui, report, same);
+    compareIncluded(state, target, report);
+  }
+
+  report.created.forEach(f => console.log(`  + ${f}`));
+  report.updated.forEach(f => console.log(`  ~ ${f}`));
+  report.removed.forEach(f => console.log(`  - ${f}`));
+  report.skipped.forEach(s => console.warn(`⚠️  Skipped ${s}`));
+  if (report.notes.length) {
+    console.warn('⚠️  Not pulled (lib/ modules and UI fragments are shared; edit them in place):');
+    report.notes.forEach(n => console.warn(`  • ${n}`));
+  }
+  const changed = report.created.length + report.updated.length + report.removed.length;
+  const verb = dryRun ? 'would change (dry run)' : 'changed';
+  console.log(`✅ ${changed} file(s) ${verb}, ${report.unchanged} already up to date`);
+}
+
+main();
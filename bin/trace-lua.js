@@ -0,0 +1,101 @@
+// trace-lua.js
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { traceLine, parseErrorMessage } = require('./modules/lua-bandler');
+const { cliConfig } = require('./modules/config');
+
+// CLI args
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const i = args.findIndex(a => a === name);
+  return i !== -1 && args[i + 1] ? args[i + 1] : null;
+};
+const VALUE_FLAGS = ['--maps', '--script', '--config', '--env'];
+const positional = args.filter((a, i) => !a.startsWith('--') && !VALUE_FLAGS.includes(args[i - 1]));
+
+const buildDir = cliConfig(args).paths.build;
+
+function usage() {
+  console.error('Usage:');
+  console.error('  pnpm run trace -- <GUID|Global> <line>');
+  console.error('  pnpm run trace -- "<TTS error message>"');
+  console.error('Options: --maps <dir>  (default: newest *.maps folder in paths.build)');
+  console.error('         --script <GUID|Global>  (when the message names no GUID)');
+  process.exit(1);
+}
+
+function newestMapsDir() {
+  if (!fs.existsSync(buildDir)) return null;
+  const dirs = fs.readdirSync(buildDir)
+    .filter(f => f.endsWith('.maps'))
+    .map(f => path.join(buildDir, f))
+    .filter(f => fs.statSync(f).isDirectory())
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return dirs[0] || null;
+}
+
+function loadMap(mapsDir, script) {
+  const file = path.join(mapsDir, `${script}.map.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function main() {
+  if (positional.length === 0) usage();
+
+  let query;
+  if (positional.length >= 2 && /^\d+$/.test(positional[1])) {
+    query = { script: positional[0], line: Number(positional[1]), chunk: null };
+  } else {
+    query = parseErrorMessage(positional.join(' '));
+  }
+  if (getArg('--script')) query.script = getArg('--script');
+  if (query.script && /^global$/i.test(query.script)) query.script = 'Global';
+
+  const mapsDir = getArg('--maps') || newestMapsDir();
+  if (!mapsDir || !fs.existsSync(mapsDir)) {
+    console.error(`❌ No source maps found in ${buildDir} (run merge first)`);
+    process.exit(1);
+  }
+
+  if (!query.line) {
+    console.error('❌ Could not find a line number in the input');
+    usage();
+  }
+  // Without a GUID any object could have raised it: guessing a map would give a confident wrong answer
+  if (!query.script && !query.chunk) {
+    console.error('❌ Ambiguous: the message names no GUID or Global script; pass --script <GUID|Global>');
+    process.exit(1);
+  }
+
+  // Shared-module errors carry only the module name — every object map that embeds or loads it is listed
+  const candidates = query.script
+    ? [query.script]
+    : fs.readdirSync(mapsDir).filter(f => f.endsWith('.map.json')).map(f => f.replace(/\.map\.json$/, '')).sort();
+  const maps = candidates
+    .map(script => ({ script, map: loadMap(mapsDir, script) }))
+    .filter(({ map }) => map && (!query.chunk || (map.chunks && map.chunks[query.chunk])));
+
+  if (maps.length === 0) {
+    console.error(`❌ No source map for ${query.chunk ? `${query.chunk} in ${query.script || 'any script'}` : query.script} in ${mapsDir}`);
+    process.exit(1);
+  }
+
+  for (const { script, map } of maps) {
+    const hit = traceLine(map, query.line, query.chunk);
+    const where = query.chunk ? `${script} ${query.chunk}:${query.line}` : `${script}:${query.line}`;
+    if (!hit || !hit.line) {
+      console.log(`ℹ️  ${where} is in generated bundle code (luabundle runtime or shim)`);
+      continue;
+    }
+
+    console.log(`📍 ${where} → ${hit.file}:${hit.line}`);
+    if (fs.existsSync(hit.file)) {
+      const text = fs.readFileSync(hit.file, 'utf-8').split('\n')[hit.line - 1];
+      if (text !== undefined) console.log(`   ${hit.line} | ${text}`);
+    }
+  }
+}
+
+main();
@@ -0,0 +1,99 @@
+// tts-standin.js — plays TTS's side of the External Editor API, for trying `watch --push` without the game
+require('dotenv').config();
+const fs = require('fs');
+const net = require('net');
+const {
+  GLOBAL_GUID,
+  TO_TTS,
+  FROM_TTS,
+  TtsConnectionError,
+  sendToTTS,
+  scriptStatesFromSave,
+} = require('./modules/tts-editor-api');
+const { cliConfig } = require('./modules/config');
+
+// Same host/ports as watch and pull (editor section of the config, TTS_* variables)
+const { host, port: ttsPort, editorPort } = cliConfig(process.argv.slice(2)).editor;
+
+// The "game": guid → { name, script, ui }
+const game = new Map([[GLOBAL_GUID, { name: 'Global', script: '', ui: '' }]]);
+
+const scriptStates = () => [...game.entries()].map(([guid, s]) => ({ guid, ...s }));
+
+async function reply(message) {
+  try {
+    await sendToTTS(message, { host, port: editorPort });
+  } catch (err) {
+    if (!(err instanceof TtsConnectionError)) throw err;
+    console.warn(`⚠️  Editor not listening on ${host}:${editorPort}`);
+  }
+}
+
+async function onMessage(msg) {
+  switch (msg.messageID) {
+    case TO_TTS.GET_SCRIPTS:
+      console.log('📥 Get Lua Scripts');
+      await reply({ messageID: FROM_TTS.NEW_GAME, scriptStates: scriptStates() });
+      break;
+    case TO_TTS.SAVE_AND_PLAY:
+      console.log(`📥 Save & Play: ${(msg.scriptStates || []).map(s => s.guid).join(', ')}`);
+      for (const s of msg.scriptStates || []) {
+        const prev = game.get(s.guid) || { name: s.guid };
+        game.set(s.guid, { name: prev.name, script: s.script || '', ui: s.ui || '' });
+      }
+      await reply({ messageID: FROM_TTS.NEW_GAME, scriptStates: scriptStates() });
+      await reply({ messageID: FROM_TTS.PRINT, message: `stand-in reloaded ${game.size} script(s)` });
+      break;
+    case TO_TTS.EXECUTE_LUA:
+      console.log(`📥 Execute Lua on ${msg.guid}`);
+      await reply({ messageID: FROM_TTS.RETURN, returnID: msg.returnID, returnValue: true });
+      break;
+    default:
+      console.log(`📥 ${JSON.stringify(msg).slice(0, 200)}`);
+  }
+}
+
+function startServer() {
+  const server = net.createServer((socket) => {
+    const chunks = [];
+    socket.on('data', (chunk) => chunks.push(chunk));
+    socket.on('end', () => {
+      let msg;
+      try {
+        msg = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+      } catch (err) {
+        console.error(`❌ Unreadable message: ${err.message}`);
+        return;
+      }
+      onMessage(msg).catch(err => console.error(`❌ ${err.message}`));
+    });
+  });
+
+  server.on('error', (err) => {
+    console.error(`❌ Cannot listen on ${host}:${ttsPort}: ${err.message}`);
+    process.exit(1);
+  });
+  server.listen(ttsPort, host, () => console.log(`🎭 TTS stand-in on ${host}:${ttsPort} (replies to ${editorPort}); Ctrl+C to stop`));
+}
+
+// Sends one error the way TTS reports it (to check the source mapping in watch) and exits
+async function sendError(guid, line) {
+  const prefix = guid === GLOBAL_GUID ? 'Error in Global Script: ' : `Error in Script (Object - ${guid}) function <onLoad>: `;
+  await reply({ messageID: FROM_TTS.ERROR, guid, errorMessagePrefix: prefix, error: `chunk_1:(${line},4-20): attempt to call a nil value` });
+  console.log(`📤 Sent an error for ${guid} line ${line}`);
+}
+
+// CLI args: --error <guid|-1> <line> | --load <save.json>
+const args = process.argv.slice(2);
+const errorAt = args.indexOf('--error');
+const loadAt = args.indexOf('--load');
+if (errorAt !== -1) {
+  sendError(args[errorAt + 1] || GLOBAL_GUID, args[errorAt + 2] || '1');
+} else {
+  // Start with the scripts of a save, as if it was loaded in the game
+  if (loadAt !== -1 && args[loadAt + 1]) {
+    const save = JSON.parse(fs.readFileSync(args[loadAt + 1], 'utf-8'));
+    for (const s of scriptStatesFromSave(save)) game.set(s.guid, { name: s.name, script: s.script, ui: s.ui });
+  }
+  startServer();
+}
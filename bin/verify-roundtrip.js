@@ -0,0 +1,109 @@
+// verify-roundtrip.js
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { diffJSON, formatDiff } = require('./modules/json-diff');
+const { cliConfig } = require('./modules/config');
+
+// CLI args
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const i = args.findIndex(a => a === name);
+  return i !== -1 && args[i + 1] ? args[i + 1] : null;
+};
+const VALUE_FLAGS = ['--ignore', '--config', '--env'];
+const positional = args.filter((a, i) => !a.startsWith('--') && !(i > 0 && VALUE_FLAGS.includes(args[i - 1])));
+const config = cliConfig(args);
+// Split and merge read the same config file and environment
+const configArgs = ['--config', '--env'].flatMap(flag => (getArg(flag) ? [flag, getArg(flag)] : []));
+
+const inputPath = positional[0] || config.paths.input;
+const keepTemp = args.includes('--keep');
+const debug = args.includes('--debug');
+
+// Differences that are expected after a round trip (merge stamps its own version)
+const DEFAULT_IGNORE = ['VersionNumber'];
+const ignore = [
+  ...DEFAULT_IGNORE,
+  ...(getArg('--ignore') || '').split(',').map(s => s.trim()).filter(Boolean),
+];
+
+function readJSON(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    console.error(`❌ Invalid JSON: ${filePath}`);
+    process.exit(1);
+  }
+}
+
+function runStep(label, script, scriptArgs, env) {
+  const res = spawnSync(
+    process.execPath,
+    [path.join(__dirname, script), ...scriptArgs],
+    { env: { ...process.env, ...env }, encoding: 'utf-8' }
+  );
+  if (debug || res.status !== 0) {
+    if (res.stdout) process.stdout.write(res.stdout);
+    if (res.stderr) process.stderr.write(res.stderr);
+  }
+  if (res.status !== 0) {
+    console.error(`❌ ${label} failed (exit code ${res.status})`);
+    return false;
+  }
+  console.log(`✅ ${label} OK`);
+  return true;
+}
+
+function main() {
+  if (!fs.existsSync(inputPath) || !fs.statSync(inputPath).isFile()) {
+    console.error(`❌ File not found: ${inputPath}`);
+    process.exit(1);
+  }
+
+  const original = readJSON(inputPath);
+  const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-verify-'));
+  const tmpSrc = path.join(tmpRoot, 'src');
+  const tmpBuild = path.join(tmpRoot, 'build');
+  console.log(`🔬 Round-trip check: ${inputPath}`);
+  if (debug) console.log(`📂 Temp dir: ${tmpRoot}`);
+
+  // CI=true keeps merge from archiving anything
+  // Lua modules and UI fragments re-extracted by split are what merge must bundle back
+  const env = {
+    INPUT_SAVE: path.resolve(inputPath), SRC_DIR: tmpSrc, BUILD_DIR: tmpBuild, CI: 'true',
+    TTS_LUA_PATH: path.join(tmpRoot, 'lib'), UI_DIR: path.join(tmpRoot, 'ui'),
+  };
+  let exitCode = 1;
+  try {
+    if (!runStep('Split', 'split-tts-save-pro.js', ['--lib-out', path.join(tmpRoot, 'lib'), ...configArgs], env)) return;
+    if (!runStep('Merge', 'merge-tts-save-pro.js', ['--version', 'verify', ...configArgs], env)) return;
+
+    const built = fs.readdirSync(tmpBuild).filter(f => f.endsWith('.json'));
+    if (built.length !== 1) {
+      console.error(`❌ Expected one merged save in ${tmpBuild}, found ${built.length}`);
+      return;
+    }
+
+    const merged = readJSON(path.join(tmpBuild, built[0]));
+    const diffs = diffJSON(original, merged, { ignore });
+
+    if (diffs.length === 0) {
+      console.log(`✅ Round trip is lossless (ignored: ${ignore.join(', ')})`);
+      exitCode = 0;
+      return;
+    }
+
+    console.error(`\n❌ Round trip drift: ${diffs.length} difference(s)`);
+    diffs.forEach(d => console.error('  ' + formatDiff(d)));
+    console.error('\nLegend: + only in merged, - only in original, ~ changed');
+  } finally {
+    if (keepTemp) console.log(`📂 Kept temp dir: ${tmpRoot}`);
+    else fs.rmSync(tmpRoot, { recursive: true, force: true });
+    process.exitCode = exitCode;
+  }
+}
+
+main();
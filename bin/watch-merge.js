@@ -1,54 +1,202 @@
 require('dotenv').config();
 const chokidar = require('chokidar');
-const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { createMerge, mapsDirFor, MergeError } = require('./modules/merge');
+const { resolveSearchPaths } = require('./modules/lua-path');
+const { cliConfig, mergeOptions } = require('./modules/config');
+const {
+  TO_TTS,
+  FROM_TTS,
+  TtsConnectionError,
+  sendToTTS,
+  listenForTTS,
+  scriptStatesFromSave,
+  changedScriptStates,
+  traceTtsError,
+} = require('./modules/tts-editor-api');
 
-const srcDir = './src';
-const buildDir = process.env.BUILD_DIR || './build';
-const version = 'vDEV';
+const args = process.argv.slice(2);
+const config = cliConfig(args, { defaultEnv: 'dev' });
+
+const srcDir = config.paths.src;
+const uiDir = config.paths.ui;
+const version = config.watch.version;
 let devFilePath = null;
 
-let running = false;
-let pending = false;
+// A burst of saves (editor "save all", git checkout) → one rebuild once events stop for this long
+const DEBOUNCE_MS = config.watch.debounceMs;
+
+// --push → send changed scripts/UI to a running game (External Editor API) after each rebuild
+const push = config.watch.push || args.includes('--push');
+const { host: ttsHost, port: ttsPort, editorPort } = config.editor;
+// What the game runs: guid → { script, ui } (from our pushes and the scripts TTS sends when a game loads)
+const inGame = new Map();
 
-function runMergeImmediate() {
-  if (running) { pending = true; return; }
+// In-process merge; keeps the bundles of the previous build and re-bundles only what changed
+function createWatchMerge() {
+  try {
+    // Always a dev build (readable Lua, overwritten in place), whatever watch.version is called
+    return createMerge(mergeOptions(config, { version, dev: true, logger: console }));
+  } catch (err) {
+    if (!(err instanceof MergeError)) throw err;
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+const merge = createWatchMerge();
 
-  running = true;
-  console.log(`\n🔁 Change detected. Rebuilding immediately (version=${version}) ...`);
+const changes = new Map(); // file → last event
+let timer = null;
+let lastBuildOk = false;
 
-  const child = spawn(
-    process.execPath,
-    [path.resolve('./bin/merge-tts-save-pro.js'), '--version', version],
-    { stdio: 'inherit' }
-  );
+const isInside = (dir, file) => {
+  const rel = path.relative(path.resolve(dir), path.resolve(file));
+  return !rel.startsWith('..') && !path.isAbsolute(rel);
+};
 
-  child.on('close', (code) => {
-    running = false;
-    if (code === 0) {
-      console.log('✅ Rebuild complete.');
-      devFilePath = findDevFile(buildDir);
-    } else {
-      console.error(`❌ Merge exited with code ${code}`);
+/** Folders the Lua search path reads from ("lib/?.lua", "lib/?/init.lua" → lib) */
+function luaRoots() {
+  const patterns = resolveSearchPaths({ libDir: config.paths.lib, luaPath: config.bundling.luaPath || undefined });
+  const dirs = patterns.map(p => path.dirname(p.split('?')[0] + '_'));
+  return [...new Set(dirs.map(d => path.normalize(d)))];
+}
+
+/** src/, the Lua search path and the shared UI folder; folders inside another root are covered by it */
+function watchRoots() {
+  const roots = [srcDir, ...luaRoots(), uiDir].map(d => path.normalize(d)).filter(d => fs.existsSync(d));
+  return [...new Set(roots)].filter((d, i, all) => !all.some((o, j) => j !== i && o !== d && isInside(o, d)));
+}
+
+function rebuild(initial = false) {
+  const batch = [...changes];
+  changes.clear();
+
+  // Added / removed files can change what a require or <Include> resolves to
+  if (batch.some(([, event]) => event !== 'change')) merge.invalidate();
+
+  if (!initial) {
+    const affected = new Set();
+    let outside = true; // only files outside src/ that no script or UI uses
+    for (const [file] of batch) {
+      const owners = merge.dependents(file);
+      owners.forEach(o => affected.add(o));
+      if (isInside(srcDir, file) || owners.length) outside = false;
     }
+    const names = batch.map(([file]) => path.relative('.', file));
+    const shown = names.length > 3 ? `${names.slice(0, 3).join(', ')} +${names.length - 3} more` : names.join(', ');
+    if (outside && lastBuildOk && batch.every(([, event]) => event === 'change')) {
+      console.log(`\nℹ️  ${shown} changed → not used by any script or UI, nothing to rebuild`);
+      return;
+    }
+    const who = affected.size ? ` (used by ${[...affected].join(', ')})` : '';
+    console.log(`\n🔁 ${shown} changed${who}. Rebuilding (version=${version}) ...`);
+  }
+
+  let result;
+  try {
+    result = merge.build();
+  } catch (err) {
+    if (!(err instanceof MergeError)) throw err;
+    lastBuildOk = false;
+    console.error(`\n❌ ${err.message}`);
+    err.details.forEach(d => console.error(`  • ${d}`));
+    console.error('❌ Rebuild failed; waiting for the next change');
+    return;
+  }
+  lastBuildOk = true;
+  devFilePath = result.outputFile;
+  const bundled = result.rebuilt.length ? `re-bundled ${result.rebuilt.join(', ')}` : 'no script or UI re-bundled';
+  console.log(`✅ ${initial ? 'Built' : 'Rebuilt'} in ${result.ms} ms: ${bundled}` +
+    `${result.reused.length ? `, ${result.reused.length} reused` : ''}`);
+  if (push && !initial) pushScripts(result.save).catch(err => console.error(`❌ Push failed: ${err.message}`));
+}
+
+function schedule(event, file) {
+  changes.set(file, changes.has(file) && event === 'change' ? changes.get(file) : event);
+  clearTimeout(timer);
+  timer = setTimeout(() => rebuild(), DEBOUNCE_MS);
+}
 
-    if (pending) {
-      pending = false;
-      runMergeImmediate();
+async function pushScripts(save) {
+  const changed = changedScriptStates(scriptStatesFromSave(save), inGame);
+  if (changed.length === 0) {
+    console.log('📡 Scripts and UI unchanged → nothing to push');
+    return;
+  }
+  try {
+    const scriptStates = changed.map(({ guid, script, ui }) => ({ guid, script, ui }));
+    await sendToTTS({ messageID: TO_TTS.SAVE_AND_PLAY, scriptStates }, { host: ttsHost, port: ttsPort });
+  } catch (err) {
+    if (!(err instanceof TtsConnectionError)) throw err;
+    console.warn(`⚠️  Not pushed: ${err.message}`);
+    return;
+  }
+  changed.forEach(s => inGame.set(s.guid, { script: s.script, ui: s.ui }));
+  console.log(`📡 Pushed to TTS (Save & Play): ${changed.map(s => s.name).join(', ')}`);
+}
+
+function rememberScripts(scriptStates, reset) {
+  if (reset) inGame.clear();
+  for (const s of scriptStates || []) inGame.set(String(s.guid), { script: s.script || '', ui: s.ui || '' });
+}
+
+function onTtsMessage(msg) {
+  switch (msg.messageID) {
+    case FROM_TTS.NEW_GAME:
+      rememberScripts(msg.scriptStates, true);
+      console.log(`🎲 TTS loaded a game (${inGame.size} script(s))`);
+      break;
+    case FROM_TTS.PUSH_OBJECT:
+      rememberScripts(msg.scriptStates, false);
+      break;
+    case FROM_TTS.PRINT:
+      console.log(`💬 ${msg.message}`);
+      break;
+    case FROM_TTS.ERROR: {
+      console.error(`❌ TTS: ${msg.errorMessagePrefix || ''}${msg.error}`);
+      for (const hit of traceTtsError(msg, devFilePath && mapsDirFor(devFilePath))) {
+        const text = fs.existsSync(hit.file) ? fs.readFileSync(hit.file, 'utf-8').split('\n')[hit.line - 1] : undefined;
+        console.error(`   📍 ${hit.file}:${hit.line}${text !== undefined ? ` | ${text.trim()}` : ''}`);
+      }
+      break;
     }
-  });
+    case FROM_TTS.CUSTOM:
+      console.log(`📨 ${JSON.stringify(msg.customMessage)}`);
+      break;
+    case FROM_TTS.GAME_SAVED:
+      console.log('💾 TTS saved the game');
+      break;
+    default:
+      break;
+  }
 }
 
-function findDevFile(dir) {
-  if (!fs.existsSync(dir)) return null;
-  const files = fs.readdirSync(dir).filter(f => f.toLowerCase().includes('_vdev') && f.endsWith('.json'));
-  return files.length ? path.join(dir, files[0]) : null;
+async function startEditorBridge() {
+  try {
+    await listenForTTS({
+      host: ttsHost,
+      port: editorPort,
+      onMessage: onTtsMessage,
+      onError: (err) => console.warn(`⚠️  ${err.message}`),
+    });
+    console.log(`📡 Listening for TTS prints/errors on ${ttsHost}:${editorPort}`);
+  } catch (err) {
+    // Another editor (e.g. the official plugin) may hold the port; pushing still works
+    console.warn(`⚠️  Cannot listen on ${ttsHost}:${editorPort} (${err.code || err.message}) → TTS prints/errors not shown`);
+  }
+  try {
+    await sendToTTS({ messageID: TO_TTS.GET_SCRIPTS }, { host: ttsHost, port: ttsPort });
+  } catch (err) {
+    if (!(err instanceof TtsConnectionError)) throw err;
+    console.warn(`⚠️  ${err.message}; pushing anyway on the next rebuild`);
+  }
 }
 
 function cleanup() {
   if (devFilePath && fs.existsSync(devFilePath)) {
     fs.unlinkSync(devFilePath);
+    fs.rmSync(mapsDirFor(devFilePath), { recursive: true, force: true });
     console.log(`🗑️ Deleted dev file: ${devFilePath}`);
   }
   process.exit(0);
@@ -56,10 +204,13 @@ function cleanup() {
 process.on('SIGINT', cleanup);
 process.on('SIGTERM', cleanup);
 
-console.log(`👀 Watching ${srcDir} (version=${version}) ...`);
+const roots = watchRoots();
+console.log(`👀 Watching ${roots.join(', ')} (version=${version}) ...`);
+rebuild(true);
+if (push) startEditorBridge();
 chokidar
-  .watch(srcDir, {
+  .watch(roots, {
     ignoreInitial: true,
     ignored: ['**/Global.lua.tmp', '**/*.swp', '**/.DS_Store']
   })
-  .on('all', () => runMergeImmediate());
+  .on('all', (event, file) => schedule(event, file));
@@ -0,0 +1,17 @@
+// index.js — Node API; the CLIs in bin/ are thin wrappers around it
+const { split, SplitError } = require('./bin/modules/split');
+const { merge, createMerge, MergeError } = require('./bin/modules/merge');
+const { loadConfig, validateConfig, mergeOptions, splitOptions, ConfigError } = require('./bin/modules/config');
+
+module.exports = {
+  split,
+  merge,
+  createMerge,
+  loadConfig,
+  validateConfig,
+  mergeOptions,
+  splitOptions,
+  SplitError,
+  MergeError,
+  ConfigError,
+};
@@ -0,0 +1,82 @@
+// test/deck-table.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, formatCsv, toDeckForm, fromDeckForm, DeckTableError } = require('../bin/modules/deck-table');
+
+test('quoted fields keep commas, quotes and newlines', () => {
+  const text = 'a,b\n"x, y","line1\nline2"\r\n"q""uote",\n';
+  assert.deepEqual(parseCsv(text), [
+    { a: 'x, y', b: 'line1\nline2' },
+    { a: 'q"uote', b: '' },
+  ]);
+});
+
+test('formatCsv quotes only where needed and parses back', () => {
+  const rows = [{ a: 'x, y', b: ' pad' }, { a: 'q"', b: 'l1\nl2' }, { a: 'plain', b: '' }];
+  const text = formatCsv(rows, ['a', 'b']);
+  assert.equal(text, 'a,b\n"x, y"," pad"\n"q""","l1\nl2"\nplain,\n');
+  assert.deepEqual(parseCsv(text), rows);
+});
+
+test('an unterminated quoted field is an error', () => {
+  assert.throws(() => parseCsv('a,b\n"open,1\n', 'deck.cards.csv'),
+    (e) => e instanceof DeckTableError && e.message === 'deck.cards.csv: unterminated quoted field');
+});
+
+// Deck of two cards from sheet 1; the second card sits elsewhere
+function deck() {
+  const sheet = { FaceURL: 'https://example.com/f.png', BackURL: 'https://example.com/b.png', NumWidth: 10, NumHeight: 7 };
+  const card = (guid, index, posX) => ({
+    GUID: guid,
+    Name: 'Card',
+    Transform: { posX, posY: 1, posZ: 0 },
+    Nickname: `Card ${index}, "quoted"`,
+    CardID: 100 + index,
+    CustomDeck: { 1: sheet },
+  });
+  return {
+    GUID: 'deck01',
+    Name: 'Deck',
+    DeckIDs: [100, 101],
+    CustomDeck: { 1: sheet },
+    ContainedObjects: [card('aaa111', 0, 0.1), card('aaa222', 1, 0.2)],
+  };
+}
+
+test('deck form round trip keeps card Transforms that differ from the template', () => {
+  const original = deck();
+  const form = toDeckForm(original);
+  assert.ok(form.columns.includes('transform'));
+  assert.equal(form.rows[0].transform, '');
+
+  const rows = parseCsv(formatCsv(form.rows, form.columns));
+  assert.deepEqual(fromDeckForm(form.deck, form.definition, rows), original);
+});
+
+test('the transform column is left out when every card matches the template', () => {
+  const original = deck();
+  original.ContainedObjects[1].Transform = { ...original.ContainedObjects[0].Transform };
+  const form = toDeckForm(original);
+  assert.ok(!form.columns.includes('transform'));
+  assert.deepEqual(fromDeckForm(form.deck, form.definition, parseCsv(formatCsv(form.rows, form.columns))), original);
+});
+
+test('Description / GMNotes / Tags that only some cards have stay per card', () => {
+  const original = deck();
+  original.ContainedObjects[0] = { ...original.ContainedObjects[0], Description: 'first', Tags: ['red'] };
+  const form = toDeckForm(original);
+  assert.deepEqual(form.definition.optional, ['Description', 'Tags']);
+  assert.deepEqual(form.rows.map(r => [r.description, r.tags]), [['first', 'red'], ['', '']]);
+
+  const merged = fromDeckForm(form.deck, form.definition, parseCsv(formatCsv(form.rows, form.columns)));
+  assert.deepEqual(merged, original);
+  assert.deepEqual(merged.ContainedObjects.map(Object.keys), original.ContainedObjects.map(Object.keys));
+});
+
+test('a deck that cannot be a table says why', () => {
+  const original = deck();
+  original.ContainedObjects[0].Description = '';
+  const reasons = [];
+  assert.equal(toDeckForm(original, (reason) => reasons.push(reason)), null);
+  assert.deepEqual(reasons, ['card aaa111 has an empty Description while other cards have none']);
+});
@@ -0,0 +1,74 @@
+// test/lua-lexer.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, significantTokens, stringValue, LuaLexError } = require('../bin/modules/lua-lexer');
+const { findRequireCalls, findRequireIds } = require('../bin/modules/lua-bandler');
+
+test('tokens join back to the source', () => {
+  const src = 'local a = [==[ x ]] y ]==] -- note\n--[[ block\ncomment ]] print("s\\"q", \'t\')\n';
+  assert.equal(tokenize(src).map(t => t.value).join(''), src);
+});
+
+test('long brackets end at the matching level', () => {
+  const toks = significantTokens(tokenize('local a = [==[ x ]] y ]=] z ]==] return a'));
+  assert.equal(toks[3].type, 'longstring');
+  assert.equal(stringValue(toks[3]), ' x ]] y ]=] z ');
+  assert.deepEqual(toks.slice(4).map(t => t.value), ['return', 'a']);
+});
+
+test('a newline right after the opening long bracket is not part of the value', () => {
+  const [, , , str] = significantTokens(tokenize('local a = [[\nline]]'));
+  assert.equal(stringValue(str), 'line');
+});
+
+test('require inside comments and strings is ignored', () => {
+  const src = [
+    '-- require("a")',
+    '--[==[ require("b") ]] require("c") ]==]',
+    'local s = "require(\'d\')"',
+    'local t = [[require("e")]]',
+  ].join('\n');
+  assert.deepEqual(findRequireCalls(src), []);
+});
+
+test('require with a string or long string argument and no parentheses', () => {
+  assert.deepEqual(findRequireIds('local x = require"x"\nlocal y = require \'y\'\nlocal z = require [[z]]'), ['x', 'y', 'z']);
+});
+
+test('calls through an alias of require', () => {
+  const calls = findRequireCalls('local r = require\nlocal m = r("util/m")\nlocal n = r "n"');
+  assert.deepEqual(calls, [
+    { id: 'util/m', line: 2, col: 11, dynamic: false },
+    { id: 'n', line: 3, col: 11, dynamic: false },
+  ]);
+});
+
+test('require("x").field is a call of x; fields named require are not', () => {
+  assert.deepEqual(findRequireIds('local fn = require("x").fn\nobj.require("no")\nobj:require("no")'), ['x']);
+});
+
+test('non-literal arguments are reported as dynamic', () => {
+  assert.deepEqual(findRequireCalls('local m = require(name)\nrequire("a" .. b)'), [
+    { id: null, line: 1, col: 11, dynamic: true },
+    { id: null, line: 2, col: 1, dynamic: true },
+  ]);
+});
+
+test('MoonSharp != is one operator', () => {
+  const toks = significantTokens(tokenize('if a != b then end'));
+  assert.deepEqual(toks.map(t => t.value), ['if', 'a', '!=', 'b', 'then', 'end']);
+  assert.equal(toks[2].type, 'op');
+  assert.deepEqual(findRequireIds('if x != nil then local m = require("m") end'), ['m']);
+});
+
+test('Lua 5.3 operators are lexer errors', () => {
+  for (const op of ['//', '<<', '>>', '&', '~']) {
+    assert.throws(() => tokenize(`x = a ${op} b`), (e) => e instanceof LuaLexError && e.message.startsWith(`'${op}' is a Lua 5.3 operator`));
+  }
+  assert.doesNotThrow(() => tokenize('x = a ~= b and |y| y'));
+});
+
+test('unfinished strings and long brackets are lexer errors at the point scanning stopped', () => {
+  assert.throws(() => tokenize('x = "open\ny = 1'), (e) => e instanceof LuaLexError && e.line === 1 && e.col === 10);
+  assert.throws(() => tokenize('x = 1\ny = [==[ open ]]'), (e) => e instanceof LuaLexError && e.line === 2 && e.col === 9);
+});
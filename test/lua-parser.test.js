@@ -0,0 +1,55 @@
+// test/lua-parser.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkLuaSyntax } = require('../bin/modules/lua-parser');
+
+test('valid Lua 5.2 passes', () => {
+  const src = [
+    'local t = {1, 2; x = 3, [4] = 5,}',
+    'local function f(...) return select("#", ...) end',
+    'for i = 1, 3 do if i ~= 2 then print(i) end end',
+    'obj.field:method "arg"',
+    'x = 0x1p4 + 1e-3 .. [[long]]',
+  ].join('\n');
+  assert.equal(checkLuaSyntax(src), null);
+});
+
+test('MoonSharp != passes', () => {
+  assert.equal(checkLuaSyntax('if a != b and c ~= d then print(a != 1) end'), null);
+});
+
+test('Lua 5.3 operators are errors', () => {
+  assert.deepEqual(checkLuaSyntax('local q = 7 // 2'),
+    { line: 1, col: 13, message: "'//' is a Lua 5.3 operator (TTS runs Lua 5.2 / MoonSharp)" });
+  assert.match(checkLuaSyntax('local m = a & 0xff').message, /'&' is a Lua 5.3 operator/);
+});
+
+test('goto and labels are errors (MoonSharp has no goto)', () => {
+  assert.deepEqual(checkLuaSyntax('for i = 1, 3 do\n  goto continue\nend'),
+    { line: 2, col: 3, message: "goto is not supported by MoonSharp near 'goto'" });
+  assert.match(checkLuaSyntax('::top::\nprint(1)').message, /labels are not supported by MoonSharp/);
+});
+
+test('MoonSharp lambdas pass', () => {
+  assert.equal(checkLuaSyntax('local add = |a, b| a + b\nlocal k = || 1\nmap(list, |x| x * 2)'), null);
+});
+
+test('syntax errors report line, column and a luac-like message', () => {
+  assert.deepEqual(checkLuaSyntax('local ok = 1\nlocal x = = 1'), { line: 2, col: 11, message: "unexpected symbol near '='" });
+  assert.deepEqual(checkLuaSyntax('if x then print(1)'), { line: 1, col: 19, message: "'end' expected near <eof>" });
+  assert.deepEqual(checkLuaSyntax('return 1\nprint(2)'), { line: 2, col: 1, message: "'<eof>' expected near 'print'" });
+});
+
+test('MoonSharp lambdas need a closing bar and a body', () => {
+  assert.ok(checkLuaSyntax('local f = |a, b a + b'));
+  assert.ok(checkLuaSyntax('local f = |a|'));
+});
+
+test('misplaced ... and break are errors', () => {
+  assert.match(checkLuaSyntax('function f() return ... end').message, /cannot use '\.\.\.' outside a vararg function/);
+  assert.match(checkLuaSyntax('break').message, /no loop to break/);
+});
+
+test('lexer errors come back as syntax errors', () => {
+  assert.deepEqual(checkLuaSyntax('local s = "abc'), { line: 1, col: 15, message: 'unfinished string' });
+});
@@ -0,0 +1,90 @@
+// test/xml-ui.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bundleXML, unbundleXML, XmlIncludeError } = require('../bin/modules/xml-bundler');
+const { parseXmlFragment, XmlSyntaxError } = require('../bin/modules/xml-parser');
+const { createXmlValidator } = require('../bin/modules/xml-validator');
+
+// UI library with two fragments: a.xml (ends with a newline) and b.xml
+function makeUiDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-ui-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'a.xml'), '<Text>A</Text>\n');
+  fs.writeFileSync(path.join(dir, 'b.xml'), '<Button>B</Button>');
+  return dir;
+}
+
+test('mid-line includes are replaced inline', (t) => {
+  const roots = makeUiDir(t);
+  assert.equal(
+    bundleXML('<Panel><Include src="a"/></Panel>', { roots }),
+    '<Panel><!-- include a --><Text>A</Text><!-- include a --></Panel>'
+  );
+});
+
+test('single-quoted, spaced and open/close includes are found, commented ones are not', (t) => {
+  const roots = makeUiDir(t);
+  const src = [
+    "  <Include src='b' />",
+    '<Row><Include id="x" src="a.xml"></Include><Text/></Row>',
+    '<!-- <Include src="missing"/> -->',
+  ].join('\n');
+  assert.equal(bundleXML(src, { roots }), [
+    '  <!-- include b -->',
+    '  <Button>B</Button>',
+    '  <!-- include b -->',
+    '<Row><!-- include a --><Text>A</Text><!-- include a --><Text/></Row>',
+    '<!-- <Include src="missing"/> -->',
+  ].join('\n'));
+});
+
+test('unbundling gives back the fragments and <Include> tags', (t) => {
+  const roots = makeUiDir(t);
+  const src = "<Panel><Include src=\"a\"/></Panel>\n  <Include src='b'/>";
+  assert.deepEqual(unbundleXML(bundleXML(src, { roots })), {
+    a: '<Text>A</Text>',
+    b: '<Button>B</Button>',
+    __root: '<Panel><Include src="a"/></Panel>\n  <Include src="b"/>',
+  });
+});
+
+test('a missing include is reported at the including file and line', (t) => {
+  const roots = makeUiDir(t);
+  assert.throws(
+    () => bundleXML('<A/>\n<B><Include src="nope"/></B>', { file: 'UI.xml', roots }),
+    (e) => e instanceof XmlIncludeError && e.file === 'UI.xml' && e.line === 2 && e.col === 4
+  );
+});
+
+test('parser keeps single-quoted attribute values and their position', () => {
+  const [panel] = parseXmlFragment("<Panel id='a'>\n  <Text>hi &amp; bye</Text></Panel>").children;
+  assert.deepEqual(panel.attrs, [{ name: 'id', value: 'a', line: 1, col: 8 }]);
+});
+
+test('parser errors', () => {
+  const fails = (src, reason, line, col) => assert.throws(() => parseXmlFragment(src),
+    (e) => e instanceof XmlSyntaxError && e.reason === reason && e.line === line && e.col === col);
+  fails('<Panel><Text></Panel>', 'closing tag </Panel> does not match <Text> opened at line 1', 1, 14);
+  fails('<Panel id="a" id="b"/>', "duplicate attribute 'id' in <Panel>", 1, 15);
+  fails('<Panel a=1/>', "attribute value of 'a' must be quoted", 1, 10);
+  fails('<Text>&nbsp;</Text>', "unknown entity '&nbsp;'", 1, 7);
+  fails('<Panel>', 'unclosed tag <Panel>', 1, 1);
+});
+
+test('children of an unknown element are still validated', (t) => {
+  const roots = makeUiDir(t);
+  const file = path.join(roots, 'UI.xml');
+  fs.writeFileSync(file, '<Pannel id="p">\n  <Button id="b" onClick="go" width="wide"/>\n  <Text id="b"/>\n</Pannel>');
+  const validator = createXmlValidator();
+  const { handlers, ids } = validator.validate(file);
+  assert.deepEqual(validator.issues.map(i => [i.line, i.col, i.message]), [
+    [1, 1, 'unknown element <Pannel>'],
+    [2, 31, 'Button.width="wide": expected a number'],
+    [3, 9, 'duplicate id "b" (first used at ' + file + ':2:11)'],
+  ]);
+  assert.deepEqual(handlers.map(h => h.value), ['go']);
+  assert.deepEqual([...ids.keys()], ['b']);
+});
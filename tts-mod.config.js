@@ -0,0 +1,50 @@
+// tts-mod.config.js — project settings read by every script (split, merge, watch, pull, verify, …)
+// Variables in .env (SRC_DIR, BUILD_DIR, TTS_LUA_PATH, …) override these; command-line flags override both.
+module.exports = {
+  paths: {
+    input: './Save.json',   // TTS save file or the TTS Saves folder
+    src: './src',
+    build: './build',
+    archive: './archive',
+    lib: './lib',
+    ui: './ui',
+    assets: './assets',
+  },
+  naming: {
+    maxLength: 50,
+    saveFile: '{name}_v{version}.json',
+  },
+  bundling: {
+    luaPath: null,          // null → lua-paths.json, then paths.lib
+    sharedLua: false,
+    minify: false,
+    assetBaseUrl: null,
+    localAssets: false,
+  },
+  validation: {
+    allowLuaErrors: false,
+    allowXmlErrors: false,
+    failOnWarnings: false,
+  },
+  archive: {
+    enabled: true,
+    keep: null,             // null → keep every archived build
+  },
+  watch: {
+    version: 'vDEV',
+    debounceMs: 200,
+    push: false,
+  },
+  editor: {
+    host: '127.0.0.1',
+    port: 39999,
+    editorPort: 39998,
+  },
+  // Applied on top of the settings above: "dev" for watch and vDEV builds, "release" for other versions,
+  // "ci" on CI; pick another with --env <name> or TTS_MOD_ENV
+  environments: {
+    dev: {},
+    release: {},
+    ci: {},
+  },
+};